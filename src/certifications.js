@@ -0,0 +1,106 @@
+// Age ratings: the certification a title carries per country (movie release dates, TV content ratings),
+// the certification lists TMDB knows, and the max_certification filter used by the search and trending
+// tools so family-mode assistants never suggest titles above a rating.
+
+// TMDB release types (release_dates[].type)
+export const RELEASE_TYPES = {1: "Premiere", 2: "Theatrical (limited)", 3: "Theatrical", 4: "Digital", 5: "Physical", 6: "TV"};
+const THEATRICAL = 3;
+
+// Ratings that say nothing about age-appropriateness; such titles are treated as unrated
+const UNRATED = ["", "NR"];
+
+// Schema properties shared by the tools that accept the certification filter
+export const CERTIFICATION_FILTER_PROPERTIES = {
+    max_certification: {
+        type: "string",
+        description: "Drop titles rated above this in certification_country, and unrated ones (e.g., PG-13; for mixed movie/TV results a pair such as PG-13,TV-14)",
+    },
+    certification_country: {type: "string", minLength: 2, description: "ISO 3166-1 country whose ratings max_certification uses (default US)"},
+};
+
+// A movie's certification in a country: the theatrical release's when rated, else the first rated release
+export function movieCertification(releaseDates, country) {
+    const entry = (releaseDates.results || []).find(r => r.iso_3166_1 === country);
+    const rated = (entry?.release_dates || []).filter(d => d.certification);
+    const theatrical = rated.find(d => d.type === THEATRICAL);
+    return (theatrical || rated[0])?.certification || null;
+}
+
+export function tvCertification(contentRatings, country) {
+    return (contentRatings.results || []).find(r => r.iso_3166_1 === country)?.rating || null;
+}
+
+// A country's movie or TV certifications, least restrictive first
+export async function loadCertifications(tmdbFetch, type, country) {
+    const {certifications = {}} = await tmdbFetch(`/certification/${type}/list`);
+    return [...(certifications[country] || [])].sort((a, b) => a.order - b.order);
+}
+
+// The country's list for a media type and the position of the strictest allowed rating in it;
+// limit is null when max_certification names none of that type's ratings
+async function maxOrderFor(tmdbFetch, type, country, wanted) {
+    const list = await loadCertifications(tmdbFetch, type, country);
+    const match = list.find(c => wanted.some(w => w.toLowerCase() === c.certification.toLowerCase()));
+    return {list, limit: match ? {order: match.order, orders: new Map(list.map(c => [c.certification, c.order]))} : null};
+}
+
+function unknownCertificationError(type, country, wanted, list) {
+    return list.length
+        ? `"${wanted.join(",")}" is not a ${country} ${type} certification. Use one of: ${list.map(c => c.certification).join(", ")}`
+        : `TMDB has no ${type} certifications for ${country}`;
+}
+
+// Drop results rated above max_certification (or unrated) in certification_country. Movies and TV shows
+// are checked concurrently; people and other results are kept. Kept titles get a `certification` field.
+// A single-system rating on mixed results (PG-13 on movies and TV) cannot check the other type, so those titles
+// are removed too and the type is listed in certification_filter.unchecked; it is an error only when it fits no type present.
+// Returns the page with the filtered results and a certification_filter summary; unchanged without max_certification.
+export async function withCertificationFilter(tmdbFetch, page, {max_certification, certification_country = "US"} = {}, mediaType) {
+    if (!max_certification) return page;
+    const country = certification_country.toUpperCase();
+    const wanted = max_certification.split(",").map(c => c.trim()).filter(Boolean);
+    const typeOf = (item) => mediaType || item.media_type;
+    const types = [...new Set((page.results || []).map(typeOf))].filter(type => type === "movie" || type === "tv");
+    const lookups = await Promise.all(types.map(type => maxOrderFor(tmdbFetch, type, country, wanted)));
+    const limits = Object.fromEntries(types.map((type, i) => [type, lookups[i].limit]));
+    const unchecked = types.filter(type => !limits[type]);
+    if (types.length && unchecked.length === types.length) {
+        throw new Error(types.map((type, i) => unknownCertificationError(type, country, wanted, lookups[i].list)).join("; "));
+    }
+
+    let removedAbove = 0;
+    let removedUnrated = 0;
+    let removedUnchecked = 0;
+    const checked = await Promise.all((page.results || []).map(async (item) => {
+        const type = typeOf(item);
+        if (type !== "movie" && type !== "tv") return item;
+        if (!limits[type]) {
+            removedUnchecked++;
+            return null;
+        }
+        const {order, orders} = limits[type];
+        const certification = type === "movie"
+            ? movieCertification(await tmdbFetch(`/movie/${item.id}/release_dates`), country)
+            : tvCertification(await tmdbFetch(`/tv/${item.id}/content_ratings`), country);
+        if (UNRATED.includes(certification || "") || !orders.has(certification)) {
+            removedUnrated++;
+            return null;
+        }
+        if (orders.get(certification) > order) {
+            removedAbove++;
+            return null;
+        }
+        return {...item, certification};
+    }));
+    return {
+        ...page,
+        results: checked.filter(Boolean),
+        certification_filter: {
+            country,
+            max_certification,
+            removed_above: removedAbove,
+            removed_unrated: removedUnrated,
+            ...(unchecked.length ? {unchecked, removed_unchecked: removedUnchecked} : {}),
+        },
+    };
+}
@@ -0,0 +1,134 @@
+// Change feeds for incremental sync: /{type}/changes lists the IDs changed in a date range and
+// /{type}/{id}/changes what changed on one entity. TMDB accepts at most 14 days per query, so longer
+// ranges are split into consecutive windows (sharing their boundary day; duplicates are dropped).
+
+import {MAX_PAGES_PER_CALL, fetchPages} from "./pagination.js";
+
+export const CHANGE_TYPES = ["movie", "tv", "person"];
+const MAX_WINDOW_DAYS = 14;
+// Longest date range a single call may cover
+export const MAX_RANGE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Schema properties shared by the change-feed tools
+export const DATE_RANGE_PROPERTIES = {
+    start_date: {type: "string", description: "YYYY-MM-DD (default: end_date minus one day)"},
+    end_date: {type: "string", description: "YYYY-MM-DD (default: today)"},
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+function checkDate(name, value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+        throw new Error(`${name} must be a date in YYYY-MM-DD form, got "${value}"`);
+    }
+    return value;
+}
+
+// Validate a date range and split it into windows TMDB accepts
+export function dateWindows({start_date, end_date} = {}) {
+    const end = checkDate("end_date", end_date || today());
+    const start = checkDate("start_date", start_date || addDays(end, -1));
+    if (start > end) throw new Error(`start_date (${start}) is after end_date (${end})`);
+    if (start < addDays(end, -MAX_RANGE_DAYS)) throw new Error(`Date ranges are limited to ${MAX_RANGE_DAYS} days; split the sync into several calls`);
+    const windows = [];
+    let from = start;
+    do {
+        const windowEnd = addDays(from, MAX_WINDOW_DAYS);
+        const to = windowEnd < end ? windowEnd : end;
+        windows.push({start_date: from, end_date: to});
+        from = to;
+    } while (from < end);
+    return {start_date: start, end_date: end, windows};
+}
+
+// IDs changed in a date range, every window paged automatically (up to max_pages per window).
+// complete is false when a window had more pages than were fetched.
+export async function fetchChangedIds(tmdbFetch, type, {start_date, end_date, max_pages = MAX_PAGES_PER_CALL} = {}) {
+    const range = dateWindows({start_date, end_date});
+    const pages = await Promise.all(range.windows.map(window => fetchPages(tmdbFetch, `/${type}/changes`, window, {max_pages})));
+    const seen = new Set();
+    const results = [];
+    for (const page of pages) {
+        for (const item of page.results) {
+            if (seen.has(item.id)) continue;
+            seen.add(item.id);
+            results.push({id: item.id, adult: item.adult});
+        }
+    }
+    return {
+        type,
+        start_date: range.start_date,
+        end_date: range.end_date,
+        windows: range.windows.length,
+        pages_fetched: pages.reduce((sum, page) => sum + page.pages_fetched, 0),
+        complete: pages.every(page => !page.next_cursor),
+        total: results.length,
+        results,
+    };
+}
+
+// What changed on one entity in a date range, merged across windows: [{key, items: [{id, action, time, ...}]}]
+export async function fetchEntityChanges(tmdbFetch, type, id, {start_date, end_date} = {}) {
+    const range = dateWindows({start_date, end_date});
+    const responses = await Promise.all(range.windows.map(window => tmdbFetch(`/${type}/${id}/changes`, window)));
+    const byKey = new Map();
+    for (const {changes = []} of responses) {
+        for (const change of changes) {
+            const items = byKey.get(change.key) || new Map();
+            for (const item of change.items || []) items.set(item.id, item);
+            byKey.set(change.key, items);
+        }
+    }
+    const changes = [...byKey.entries()]
+        .map(([key, items]) => ({key, items: [...items.values()].sort((a, b) => (a.time || "").localeCompare(b.time || ""))}))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    return {id, type, start_date: range.start_date, end_date: range.end_date, changes};
+}
+
+// "2024-05-01 12:30:00 UTC" (TMDB change items), ISO date-times and plain dates -> milliseconds
+function toTime(value) {
+    const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value.replace(" UTC", "Z").replace(" ", "T"));
+    if (Number.isNaN(time)) throw new Error(`Invalid date or time "${value}"; use YYYY-MM-DD or an ISO 8601 date-time`);
+    return time;
+}
+
+// IDs changed since a point in time with the fields that changed on each. Only the first max_ids IDs
+// are inspected (one /changes request per ID and window); the rest come back in not_inspected.
+// next_since is the value to pass on the next run.
+export async function syncSince(tmdbFetch, type, {since, until, max_ids = 50, max_pages} = {}) {
+    const startedAt = new Date().toISOString();
+    const from = toTime(since);
+    const to = until ? toTime(until) : Date.parse(startedAt);
+    const range = {start_date: new Date(from).toISOString().slice(0, 10), end_date: new Date(to).toISOString().slice(0, 10)};
+    const changed = await fetchChangedIds(tmdbFetch, type, {...range, max_pages});
+    const inspected = changed.results.slice(0, max_ids);
+    const details = await Promise.all(inspected.map(({id}) => fetchEntityChanges(tmdbFetch, type, id, range)));
+
+    const entries = [];
+    let unchanged = 0;
+    for (const {id, changes} of details) {
+        // The feed works in whole days: keep only the changes inside [since, until]
+        const recent = changes
+            .map(change => ({key: change.key, times: change.items.filter(item => item.time).map(item => toTime(item.time)).filter(time => time >= from && time <= to)}))
+            .filter(change => change.times.length);
+        if (!recent.length) {
+            unchanged++;
+            continue;
+        }
+        const last = Math.max(...recent.flatMap(change => change.times));
+        entries.push({id, fields: recent.map(change => change.key), last_changed: new Date(last).toISOString()});
+    }
+    return {
+        type,
+        since: new Date(from).toISOString(),
+        until: new Date(to).toISOString(),
+        next_since: new Date(to).toISOString(),
+        complete: changed.complete && inspected.length === changed.results.length,
+        total_ids: changed.total,
+        changed: entries,
+        unchanged_in_range: unchanged,
+        not_inspected: changed.results.slice(max_ids).map(item => item.id),
+    };
+}
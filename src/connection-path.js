@@ -0,0 +1,149 @@
+// Degrees of separation: the shortest chain of shared titles linking two people, found with a
+// bidirectional breadth-first search over person credits (/person/{id}?append_to_response=combined_credits)
+// and title credits (/movie/{id}/credits, /tv/{id}/credits). Each side expands one level at a time,
+// the smaller frontier first, most popular nodes first; every TMDB request counts towards max_requests
+// and goes through the client's shared rate limiter.
+
+import {isSelfAppearance} from "./filmography.js";
+
+export const DEFAULT_MAX_DEPTH = 3;
+export const MAX_DEPTH = 6;
+export const DEFAULT_MAX_REQUESTS = 100;
+export const MAX_REQUESTS = 1000;
+
+const personKey = (id) => `person:${id}`;
+const isPerson = (key) => key.startsWith("person:");
+
+export async function findConnectionPath(tmdbFetch, fromId, toId, {
+    max_depth = DEFAULT_MAX_DEPTH,
+    max_requests = DEFAULT_MAX_REQUESTS,
+    include_tv = true,
+    cast_only = false,
+} = {}) {
+    let requests = 0;
+    let truncated = false;
+    // key -> {id, media_type, name, date, popularity}
+    const nodes = new Map([[personKey(fromId), {id: fromId}], [personKey(toId), {id: toId}]]);
+    // "person:1|movie:2" -> the person's roles in the title
+    const roles = new Map();
+    const sides = [fromId, toId].map(id => ({reached: new Map([[personKey(id), {parent: null, depth: 0}]]), frontier: [personKey(id)], hops: 0}));
+
+    // Fill in what is not known yet about a node (people are first seen in credits, then expanded)
+    const addNode = (key, info) => {
+        const known = nodes.get(key) || {};
+        for (const [field, value] of Object.entries(info)) {
+            if (known[field] === undefined) known[field] = value;
+        }
+        nodes.set(key, known);
+    };
+    const addRole = (person, title, role) => {
+        const edge = `${person}|${title}`;
+        const list = roles.get(edge) || [];
+        if (role && !list.includes(role)) list.push(role);
+        roles.set(edge, list);
+    };
+    // Self and talk-show appearances would link everyone who ever visited the same show
+    const links = (credits) => [
+        ...(credits.cast || []).filter(c => !isSelfAppearance(c)).map(c => ({credit: c, role: c.character || "Actor"})),
+        ...(cast_only ? [] : (credits.crew || []).map(c => ({credit: c, role: c.job}))),
+    ];
+
+    async function neighbours(key) {
+        requests++;
+        const node = nodes.get(key);
+        if (isPerson(key)) {
+            const data = await tmdbFetch(`/person/${node.id}`, {append_to_response: "combined_credits"});
+            addNode(key, {id: node.id, name: data.name, popularity: data.popularity});
+            return links(data.combined_credits || {})
+                .filter(({credit}) => credit.media_type === "movie" || (include_tv && credit.media_type === "tv"))
+                .map(({credit, role}) => {
+                    const title = `${credit.media_type}:${credit.id}`;
+                    addNode(title, {
+                        id: credit.id,
+                        media_type: credit.media_type,
+                        name: credit.title || credit.name,
+                        date: credit.release_date || credit.first_air_date || "",
+                        popularity: credit.popularity,
+                    });
+                    addRole(key, title, role);
+                    return title;
+                });
+        }
+        const data = await tmdbFetch(`/${node.media_type}/${node.id}/credits`);
+        return links(data).map(({credit, role}) => {
+            const person = personKey(credit.id);
+            addNode(person, {id: credit.id, name: credit.name, popularity: credit.popularity});
+            addRole(person, key, role);
+            return person;
+        });
+    }
+
+    // Walk parents from the meeting node back to each person and describe every title on the way
+    function buildPath(meet) {
+        const chain = (side) => {
+            const keys = [];
+            for (let key = meet; key; key = side.reached.get(key).parent) keys.push(key);
+            return keys;
+        };
+        const keys = [...chain(sides[0]).reverse(), ...chain(sides[1]).slice(1)];
+        const person = (key, title) => ({id: nodes.get(key).id, name: nodes.get(key).name, role: (roles.get(`${key}|${title}`) || []).join(", ")});
+        const path = [];
+        for (let i = 1; i < keys.length; i += 2) {
+            const title = nodes.get(keys[i]);
+            path.push({
+                title: {id: title.id, media_type: title.media_type, title: title.name, date: title.date},
+                from: person(keys[i - 1], keys[i]),
+                to: person(keys[i + 1], keys[i]),
+            });
+        }
+        return path;
+    }
+
+    const result = (found, extra) => ({
+        found,
+        ...extra,
+        from: {id: fromId, name: nodes.get(personKey(fromId)).name},
+        to: {id: toId, name: nodes.get(personKey(toId)).name},
+        requests_used: requests,
+        max_requests,
+        max_depth,
+        ...(truncated ? {partial_search: true} : {}),
+    });
+
+    if (fromId === toId) return result(true, {degrees: 0, path: []});
+    for (;;) {
+        // Each title on the path takes two hops (person -> title -> person)
+        if (sides[0].hops + sides[1].hops >= 2 * max_depth) return result(false, {stopped: "max_depth"});
+        const open = sides.filter(side => side.frontier.length);
+        if (open.length < 2) return result(false, {stopped: "no_more_links"});
+        // Smaller frontier first; on a tie the side that has searched less
+        const [a, b] = sides;
+        const index = a.frontier.length < b.frontier.length || (a.frontier.length === b.frontier.length && a.hops <= b.hops) ? 0 : 1;
+        const side = sides[index];
+        const other = sides[1 - index];
+        const budget = max_requests - requests;
+        if (budget <= 0) return result(false, {stopped: "max_requests"});
+        const frontier = [...side.frontier].sort((a, b) => (nodes.get(b).popularity ?? 0) - (nodes.get(a).popularity ?? 0));
+        if (frontier.length > budget) truncated = true;
+        const expanded = await Promise.all(frontier.slice(0, budget).map(async key => ({key, next: await neighbours(key)})));
+        side.hops++;
+
+        const next = [];
+        let meet = null;
+        for (const {key, next: found} of expanded) {
+            for (const node of found) {
+                if (!side.reached.has(node)) {
+                    side.reached.set(node, {parent: key, depth: side.hops});
+                    next.push(node);
+                }
+                // Prefer the meeting point closest to the other person: it gives the shortest chain
+                if (other.reached.has(node) && (!meet || other.reached.get(node).depth < other.reached.get(meet).depth)) meet = node;
+            }
+        }
+        if (meet) {
+            const path = buildPath(meet);
+            return result(true, {degrees: path.length, path});
+        }
+        side.frontier = next;
+    }
+}
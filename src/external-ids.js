@@ -0,0 +1,62 @@
+// External IDs: look TMDB entities up by IMDb, TVDB, Wikidata or social media IDs through /find,
+// so callers keyed by tt0137523 never have to know TMDB's numeric IDs.
+
+// Source name accepted by the tools -> TMDB external_source
+export const EXTERNAL_SOURCES = {
+    imdb: "imdb_id",
+    tvdb: "tvdb_id",
+    wikidata: "wikidata_id",
+    facebook: "facebook_id",
+    instagram: "instagram_id",
+    tiktok: "tiktok_id",
+};
+
+// IDs whose source can be told from their shape; TVDB and social IDs need an explicit source
+const SOURCE_PATTERNS = [
+    {source: "imdb", pattern: /^(tt|nm)\d+$/i},
+    {source: "wikidata", pattern: /^Q\d+$/i},
+];
+
+// /find result lists -> media_type of their entries
+const FIND_RESULT_TYPES = {
+    movie_results: "movie",
+    tv_results: "tv",
+    person_results: "person",
+    tv_season_results: "tv_season",
+    tv_episode_results: "tv_episode",
+};
+
+export function detectSource(externalId, source) {
+    if (source) return source;
+    const match = SOURCE_PATTERNS.find(({pattern}) => pattern.test(externalId));
+    if (!match) {
+        throw new Error(`Cannot tell the source of "${externalId}"; pass source (${Object.keys(EXTERNAL_SOURCES).join(", ")})`);
+    }
+    return match.source;
+}
+
+// IMDb and Wikidata IDs are case-sensitive upstream (tt..., nm..., Q...)
+function normalizeId(externalId, source) {
+    if (source === "imdb") return externalId.toLowerCase();
+    if (source === "wikidata") return externalId.toUpperCase();
+    return externalId;
+}
+
+// Every TMDB entity matching an external ID, as {media_type, ...TMDB entry}
+export async function findByExternalId(tmdbFetch, externalId, {source, language} = {}) {
+    const resolvedSource = detectSource(String(externalId).trim(), source);
+    const id = normalizeId(String(externalId).trim(), resolvedSource);
+    const data = await tmdbFetch(`/find/${encodeURIComponent(id)}`, {external_source: EXTERNAL_SOURCES[resolvedSource], language});
+    const results = Object.entries(FIND_RESULT_TYPES)
+        .flatMap(([list, media_type]) => (data[list] || []).map(entry => ({...entry, media_type})));
+    return {external_id: id, source: resolvedSource, results};
+}
+
+// TMDB ID of a movie, TV show or person given either its TMDB ID or an external ID
+export async function resolveTmdbId(tmdbFetch, type, id, source) {
+    if (!source && (typeof id === "number" || /^\d+$/.test(id))) return Number(id);
+    const found = await findByExternalId(tmdbFetch, id, {source});
+    const match = found.results.find(entry => entry.media_type === type);
+    if (!match) throw new Error(`No ${type} found on TMDB for ${found.source} ID ${found.external_id}`);
+    return match.id;
+}
@@ -0,0 +1,106 @@
+// Person filmographies from /person/{id}/combined_credits: one entry per title with every role the
+// person had on it (a director-writer-producer appears once), plus the filters and sort orders
+// used by person_filmography and the intersection used by shared_credits.
+
+// TMDB TV genres whose credits are appearances rather than roles
+const TALK_GENRES = [10767, 10763]; // Talk, News
+// "Self", "Himself - Guest", "Herself (archive footage)", ...
+const SELF_CHARACTER = /^(self|himself|herself|themselves|themself)\b/i;
+
+// Talk-show, news and "Self"/"Himself" appearances
+export function isSelfAppearance(credit) {
+    if (credit.character && SELF_CHARACTER.test(credit.character.trim())) return true;
+    return credit.media_type === "tv" && (credit.genre_ids || []).some(id => TALK_GENRES.includes(id));
+}
+
+const yearOf = (date) => (date ? Number(date.slice(0, 4)) : null);
+
+// Merge cast and crew credits per title; TV episode_count is the most episodes of any one role
+export function mergeCredits({cast = [], crew = []} = {}, {include_self = false} = {}) {
+    const titles = new Map();
+    let selfAppearances = 0;
+    const entryFor = (credit) => {
+        const key = `${credit.media_type}:${credit.id}`;
+        if (!titles.has(key)) {
+            const date = credit.release_date || credit.first_air_date || "";
+            titles.set(key, {
+                id: credit.id,
+                media_type: credit.media_type,
+                title: credit.title || credit.name || "",
+                date,
+                year: yearOf(date),
+                popularity: credit.popularity,
+                vote_average: credit.vote_average,
+                characters: [],
+                jobs: [],
+                departments: [],
+                episode_count: 0,
+            });
+        }
+        return titles.get(key);
+    };
+    const addOnce = (list, value) => {
+        if (value && !list.includes(value)) list.push(value);
+    };
+    for (const credit of cast) {
+        if (!include_self && isSelfAppearance(credit)) {
+            selfAppearances++;
+            continue;
+        }
+        const entry = entryFor(credit);
+        addOnce(entry.departments, "Acting");
+        addOnce(entry.jobs, "Actor");
+        addOnce(entry.characters, credit.character);
+        entry.episode_count = Math.max(entry.episode_count, credit.episode_count || 0);
+    }
+    for (const credit of crew) {
+        const entry = entryFor(credit);
+        addOnce(entry.departments, credit.department);
+        addOnce(entry.jobs, credit.job);
+        entry.episode_count = Math.max(entry.episode_count, credit.episode_count || 0);
+    }
+    const merged = [...titles.values()].map(({episode_count, ...entry}) => ({
+        ...entry,
+        ...(entry.media_type === "tv" && episode_count ? {episode_count} : {}),
+    }));
+    return {titles: merged, selfAppearances};
+}
+
+const matchesAny = (values, wanted) => values.some(v => v.toLowerCase() === wanted.toLowerCase());
+
+// Keep titles where the person had a matching role, of the media type and in the year range (inclusive)
+export function filterFilmography(titles, {department, job, media_type, year_from, year_to} = {}) {
+    return titles.filter(entry => (!department || matchesAny(entry.departments, department))
+        && (!job || matchesAny(entry.jobs, job))
+        && (!media_type || entry.media_type === media_type)
+        && (year_from === undefined || (entry.year !== null && entry.year >= year_from))
+        && (year_to === undefined || (entry.year !== null && entry.year <= year_to)));
+}
+
+// Newest or most popular first by default; undated (announced) titles go last in either date order
+export function sortFilmography(titles, sort_by = "release_date", order = "desc") {
+    const direction = order === "asc" ? 1 : -1;
+    const compare = sort_by === "popularity"
+        ? (a, b) => direction * ((a.popularity ?? 0) - (b.popularity ?? 0))
+        : (a, b) => (!a.date || !b.date ? Number(!a.date) - Number(!b.date) : direction * a.date.localeCompare(b.date));
+    return [...titles].sort(compare);
+}
+
+// Titles every person worked on, with each person's roles. credit_type "cast" or "crew" only counts a
+// title when everyone had that kind of role on it, and lists only those roles.
+export function sharedTitles(filmographies, {credit_type = "any"} = {}) {
+    const keepJob = credit_type === "cast" ? job => job === "Actor" : credit_type === "crew" ? job => job !== "Actor" : () => true;
+    const rolesOf = (entry) => ({characters: credit_type === "crew" ? [] : entry.characters, jobs: entry.jobs.filter(keepJob)});
+    const qualifies = (entry) => entry.jobs.some(keepJob);
+    const byKey = filmographies.map(({titles}) => new Map(titles.filter(qualifies).map(entry => [`${entry.media_type}:${entry.id}`, entry])));
+    const [first, ...others] = byKey;
+    return [...first.entries()]
+        .filter(([key]) => others.every(titles => titles.has(key)))
+        .map(([key, entry]) => {
+            const {characters, jobs, departments, episode_count, ...title} = entry;
+            return {
+                ...title,
+                people: filmographies.map(({person}, i) => ({id: person.id, name: person.name, ...rolesOf(byKey[i].get(key))})),
+            };
+        });
+}
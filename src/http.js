@@ -0,0 +1,173 @@
+// HTTP transport: MCP Streamable HTTP with the legacy HTTP+SSE transport as a fallback.
+
+import http from "node:http";
+import {randomUUID, timingSafeEqual} from "node:crypto";
+import {StreamableHTTPServerTransport} from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import {SSEServerTransport} from "@modelcontextprotocol/sdk/server/sse.js";
+import {isInitializeRequest} from "@modelcontextprotocol/sdk/types.js";
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {"Content-Type": "application/json", ...headers});
+    res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(code, message) {
+    return {jsonrpc: "2.0", error: {code, message}, id: null};
+}
+
+async function readJsonBody(req, maxBytes = 4 * 1024 * 1024) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) throw new Error("Request body too large");
+        chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString("utf8");
+    return raw ? JSON.parse(raw) : undefined;
+}
+
+function isAuthorized(req, authToken) {
+    const header = req.headers.authorization || "";
+    const [scheme, value = ""] = header.split(" ");
+    const expected = Buffer.from(authToken);
+    const received = Buffer.from(value);
+    return scheme.toLowerCase() === "bearer"
+        && received.length === expected.length
+        && timingSafeEqual(received, expected);
+}
+
+export const DEFAULT_SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Serve MCP over Streamable HTTP on /mcp, with the legacy HTTP+SSE transport on /sse + /messages
+// for older clients. createServer() is called once per session, since an SDK Server is bound to one transport;
+// pass a factory that reuses one TMDB client so every session shares the cache and rate budget.
+// Sessions without a request for sessionIdleTimeoutMs are closed, so clients that vanish without a DELETE
+// do not keep their transport and server alive.
+export async function startHttpServer({
+    host = "127.0.0.1",
+    port = 3000,
+    authToken,
+    createServer,
+    logger = {},
+    sessionIdleTimeoutMs = DEFAULT_SESSION_IDLE_TIMEOUT_MS,
+}) {
+    const sessions = new Map();
+    // session id -> time of its last request
+    const lastSeen = new Map();
+
+    const touch = (sessionId) => lastSeen.set(sessionId, Date.now());
+    const forget = (sessionId) => {
+        sessions.delete(sessionId);
+        lastSeen.delete(sessionId);
+    };
+
+    const sweep = setInterval(() => {
+        const cutoff = Date.now() - sessionIdleTimeoutMs;
+        for (const [sessionId, seen] of lastSeen) {
+            if (seen > cutoff) continue;
+            const transport = sessions.get(sessionId);
+            forget(sessionId);
+            transport?.close().catch(err => logger.error?.(`Closing idle session ${sessionId} failed: ${err.message}`));
+        }
+    }, Math.min(sessionIdleTimeoutMs, MAX_SWEEP_INTERVAL_MS));
+    sweep.unref();
+
+    async function handleStreamable(req, res) {
+        const sessionId = req.headers["mcp-session-id"];
+        let body;
+        if (req.method === "POST") {
+            try {
+                body = await readJsonBody(req);
+            } catch (err) {
+                return sendJson(res, 400, jsonRpcError(-32700, `Parse error: ${err.message}`));
+            }
+        }
+        let transport = sessionId ? sessions.get(sessionId) : undefined;
+        if (sessionId && !(transport instanceof StreamableHTTPServerTransport)) {
+            return sendJson(res, 404, jsonRpcError(-32001, "Session not found"));
+        }
+        if (!transport) {
+            if (req.method !== "POST" || !isInitializeRequest(body)) {
+                return sendJson(res, 400, jsonRpcError(-32000, "Bad Request: No valid session ID provided"));
+            }
+            transport = new StreamableHTTPServerTransport({
+                sessionIdGenerator: () => randomUUID(),
+                onsessioninitialized: (id) => {
+                    sessions.set(id, transport);
+                    touch(id);
+                },
+            });
+            transport.onclose = () => {
+                if (transport.sessionId) forget(transport.sessionId);
+            };
+            const server = createServer();
+            await server.connect(transport);
+        } else {
+            touch(sessionId);
+        }
+        await transport.handleRequest(req, res, body);
+    }
+
+    async function handleSseStream(req, res) {
+        const transport = new SSEServerTransport("/messages", res);
+        sessions.set(transport.sessionId, transport);
+        touch(transport.sessionId);
+        res.on("close", () => forget(transport.sessionId));
+        const server = createServer();
+        await server.connect(transport);
+    }
+
+    async function handleSseMessage(req, res, url) {
+        const transport = sessions.get(url.searchParams.get("sessionId"));
+        if (!(transport instanceof SSEServerTransport)) {
+            return sendJson(res, 404, jsonRpcError(-32001, "Session not found"));
+        }
+        touch(transport.sessionId);
+        let body;
+        try {
+            body = await readJsonBody(req);
+        } catch (err) {
+            return sendJson(res, 400, jsonRpcError(-32700, `Parse error: ${err.message}`));
+        }
+        await transport.handlePostMessage(req, res, body);
+    }
+
+    const httpServer = http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, "http://localhost");
+            if (url.pathname === "/health") {
+                return sendJson(res, 200, {status: "ok", sessions: sessions.size});
+            }
+            if (authToken && !isAuthorized(req, authToken)) {
+                return sendJson(res, 401, jsonRpcError(-32001, "Unauthorized"), {"WWW-Authenticate": "Bearer"});
+            }
+            if (url.pathname === "/mcp") return await handleStreamable(req, res);
+            if (url.pathname === "/sse" && req.method === "GET") return await handleSseStream(req, res);
+            if (url.pathname === "/messages" && req.method === "POST") return await handleSseMessage(req, res, url);
+            sendJson(res, 404, {error: "Not found"});
+        } catch (err) {
+            logger.error?.(`HTTP request error: ${err && err.message ? err.message : String(err)}`);
+            if (!res.headersSent) sendJson(res, 500, jsonRpcError(-32603, "Internal server error"));
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once("error", reject);
+        httpServer.listen(port, host, resolve);
+    });
+
+    return {
+        httpServer,
+        sessions,
+        // Closes every open session, then stops accepting connections (idle keep-alive ones are dropped)
+        async close() {
+            clearInterval(sweep);
+            await Promise.allSettled([...sessions.values()].map(transport => transport.close()));
+            const closed = new Promise(resolve => httpServer.close(resolve));
+            httpServer.closeIdleConnections();
+            await closed;
+        },
+    };
+}
@@ -0,0 +1,90 @@
+// Image URLs: TMDB returns bare file paths (poster_path: "/abc.jpg"); the base URL and the available
+// sizes come from /configuration, loaded once per client and then served from the response cache.
+
+// Used when /configuration cannot be loaded; matches what TMDB has returned for years
+export const DEFAULT_IMAGE_CONFIGURATION = {
+    secure_base_url: "https://image.tmdb.org/t/p/",
+    backdrop_sizes: ["w300", "w780", "w1280", "original"],
+    logo_sizes: ["w45", "w92", "w154", "w185", "w300", "w500", "original"],
+    poster_sizes: ["w92", "w154", "w185", "w342", "w500", "w780", "original"],
+    profile_sizes: ["w45", "w185", "h632", "original"],
+    still_sizes: ["w92", "w185", "w300", "original"],
+};
+
+// Size used for the *_url fields added to tool results, per image kind
+export const DEFAULT_IMAGE_SIZES = {poster: "w500", backdrop: "w1280", profile: "w185", logo: "w300", still: "w300"};
+
+export const IMAGE_KINDS = ["poster", "backdrop", "profile", "logo", "still"];
+
+// file_path entries in /images payloads take their kind from the list they are in
+const KIND_BY_LIST = {posters: "poster", backdrops: "backdrop", profiles: "profile", logos: "logo", stills: "still"};
+
+const configurations = new WeakMap();
+
+// Load the images section of /configuration once per tmdbFetch; falls back to the defaults on failure
+export function loadImageConfiguration(tmdbFetch) {
+    if (!configurations.has(tmdbFetch)) {
+        const loading = tmdbFetch("/configuration")
+            .then(data => ({...DEFAULT_IMAGE_CONFIGURATION, ...data.images}))
+            .catch(() => {
+                // Try again on the next call rather than pinning the fallback
+                configurations.delete(tmdbFetch);
+                return DEFAULT_IMAGE_CONFIGURATION;
+            });
+        configurations.set(tmdbFetch, loading);
+    }
+    return configurations.get(tmdbFetch);
+}
+
+// Sizes TMDB offers for a kind, smallest first, "original" last
+export function availableSizes(configuration, kind) {
+    return configuration[`${kind}_sizes`] || ["original"];
+}
+
+// Resolve a size name or alias (small, medium, large, original) to one TMDB offers for the kind.
+// Unknown sizes fall back to the smallest offered size at least as wide, or "original".
+export function pickSize(configuration, kind, size = DEFAULT_IMAGE_SIZES[kind]) {
+    const sizes = availableSizes(configuration, kind);
+    const scaled = sizes.filter(s => s !== "original");
+    if (size === "original" || !scaled.length) return "original";
+    if (size === "small") return scaled[0];
+    if (size === "medium") return scaled[Math.floor((scaled.length - 1) / 2)];
+    if (size === "large") return scaled[scaled.length - 1];
+    if (sizes.includes(size)) return size;
+    const width = Number(String(size).replace(/^w/, ""));
+    return scaled.find(s => s.startsWith("w") && Number(s.slice(1)) >= width) || "original";
+}
+
+export function imageUrl(configuration, kind, path, size) {
+    return `${configuration.secure_base_url}${pickSize(configuration, kind, size)}${path}`;
+}
+
+function kindOf(key, listKey) {
+    if (key === "file_path") return KIND_BY_LIST[listKey];
+    const kind = key.replace(/_path$/, "");
+    return IMAGE_KINDS.includes(kind) ? kind : undefined;
+}
+
+// Add poster_url, profile_url, file_url, ... next to every image path in a payload (in place)
+export function addImageUrls(value, configuration, sizes = DEFAULT_IMAGE_SIZES, listKey) {
+    if (Array.isArray(value)) {
+        value.forEach(item => addImageUrls(item, configuration, sizes, listKey));
+    } else if (value && typeof value === "object") {
+        for (const [key, child] of Object.entries(value)) {
+            const kind = key.endsWith("_path") ? kindOf(key, listKey) : undefined;
+            const urlKey = key.replace(/_path$/, "_url");
+            if (kind && typeof child === "string" && child.startsWith("/") && !(urlKey in value)) {
+                value[urlKey] = imageUrl(configuration, kind, child, sizes[kind]);
+            } else if (child && typeof child === "object") {
+                addImageUrls(child, configuration, sizes, key);
+            }
+        }
+    }
+    return value;
+}
+
+// Add image URLs to a tool's structuredContent (in place); /configuration is only loaded when there are image paths
+export async function withImageUrls(data, tmdbFetch, sizes = DEFAULT_IMAGE_SIZES) {
+    if (!sizes || !data || !/_path":"\//.test(JSON.stringify(data))) return data;
+    return addImageUrls(data, await loadImageConfiguration(tmdbFetch), sizes);
+}
@@ -0,0 +1,126 @@
+// Resolve human-readable names in discover filters (genres, keywords, people, companies, watch providers)
+// to TMDB IDs, so the model can pass with_genres: "horror,comedy" or with_cast: "Florence Pugh".
+// Numeric IDs pass through untouched and the AND (,) / OR (|) separators are preserved.
+
+// Filter argument -> kind of entity it holds
+export const NAMED_FILTERS = {
+    with_genres: "genre",
+    without_genres: "genre",
+    with_keywords: "keyword",
+    without_keywords: "keyword",
+    with_cast: "person",
+    with_crew: "person",
+    with_people: "person",
+    with_companies: "company",
+    without_companies: "company",
+    with_watch_providers: "provider",
+};
+
+// Common spellings that differ from TMDB's genre names
+const GENRE_ALIASES = {
+    "sci-fi": "science fiction",
+    "scifi": "science fiction",
+    "sf": "science fiction",
+    "romcom": "romance",
+    "doc": "documentary",
+    "docs": "documentary",
+    "cartoon": "animation",
+    "kids": "family",
+};
+
+const normalize = (value) => String(value ?? "").trim().toLowerCase();
+
+// Prefer an exact (case-insensitive) name match, then a partial one, then the first (most relevant) result
+function pickByName(items, input, nameOf = (item) => item.name, {allowFirst = true} = {}) {
+    const wanted = normalize(input);
+    const exact = items.find(item => normalize(nameOf(item)) === wanted);
+    if (exact) return {item: exact, match: "exact"};
+    const partial = items.find(item => {
+        const name = normalize(nameOf(item));
+        // Every input "contains" an empty name, so nameless results never match partially
+        return name && (name.includes(wanted) || wanted.includes(name));
+    });
+    if (partial) return {item: partial, match: "partial"};
+    if (allowFirst && items.length) return {item: items[0], match: "top result"};
+    return null;
+}
+
+const RESOLVERS = {
+    genre: async (tmdbFetch, input, {mediaType}) => {
+        const source = `/genre/${mediaType}/list`;
+        const {genres = []} = await tmdbFetch(source, {language: "en"});
+        const alias = GENRE_ALIASES[normalize(input)];
+        const picked = pickByName(genres, alias || input, undefined, {allowFirst: false})
+            // TV genres are combined ("Sci-Fi & Fantasy", "Action & Adventure"): try the raw input too
+            || (alias && pickByName(genres, input, undefined, {allowFirst: false}));
+        return picked && {id: picked.item.id, name: picked.item.name, match: picked.match, source};
+    },
+    keyword: async (tmdbFetch, input) => {
+        const source = "/search/keyword";
+        const {results = []} = await tmdbFetch(source, {query: input});
+        const picked = pickByName(results, input);
+        return picked && {id: picked.item.id, name: picked.item.name, match: picked.match, source};
+    },
+    person: async (tmdbFetch, input) => {
+        const source = "/search/person";
+        const {results = []} = await tmdbFetch(source, {query: input});
+        const picked = pickByName(results, input);
+        return picked && {
+            id: picked.item.id,
+            name: picked.item.name,
+            known_for_department: picked.item.known_for_department,
+            match: picked.match,
+            source
+        };
+    },
+    company: async (tmdbFetch, input) => {
+        const source = "/search/company";
+        const {results = []} = await tmdbFetch(source, {query: input});
+        const picked = pickByName(results, input);
+        return picked && {id: picked.item.id, name: picked.item.name, origin_country: picked.item.origin_country, match: picked.match, source};
+    },
+    provider: async (tmdbFetch, input, {mediaType, watchRegion}) => {
+        const source = `/watch/providers/${mediaType}`;
+        const {results = []} = await tmdbFetch(source, {watch_region: watchRegion});
+        const picked = pickByName(results, input, (p) => p.provider_name, {allowFirst: false});
+        return picked && {id: picked.item.provider_id, name: picked.item.provider_name, match: picked.match, source};
+    },
+};
+
+// Resolve a single name of a kind (genre, keyword, person, company, provider); null when nothing matches
+export function resolveName(tmdbFetch, kind, input, {mediaType, watchRegion} = {}) {
+    return RESOLVERS[kind](tmdbFetch, input, {mediaType, watchRegion});
+}
+
+// Resolve every named filter in args. Returns {params, resolution}: params has names replaced by IDs,
+// resolution maps each filter to [{input, id, name, match, source}] for the names that were looked up.
+// Throws listing every name that could not be resolved, rather than silently dropping a filter.
+export async function resolveNamedFilters(tmdbFetch, args, {mediaType, filters = NAMED_FILTERS}) {
+    const params = {...args};
+    const resolution = {};
+    const unresolved = [];
+    await Promise.all(Object.entries(filters).map(async ([filter, kind]) => {
+        const value = args[filter];
+        if (value === undefined || value === null || value === "") return;
+        const parts = String(value).split(/([,|])/);
+        const entries = [];
+        const resolved = await Promise.all(parts.map(async (part, i) => {
+            const token = part.trim();
+            // Odd indexes are the captured separators; numeric tokens are already IDs
+            if (i % 2 === 1 || token === "" || /^\d+$/.test(token)) return token;
+            const hit = await RESOLVERS[kind](tmdbFetch, token, {mediaType, watchRegion: args.watch_region});
+            if (!hit) {
+                unresolved.push(`${filter}: "${token}" (no matching ${kind})`);
+                return token;
+            }
+            entries.push({input: token, ...hit});
+            return String(hit.id);
+        }));
+        params[filter] = resolved.join("");
+        if (entries.length) resolution[filter] = entries;
+    }));
+    if (unresolved.length) {
+        throw new Error(`Could not resolve names to TMDB IDs:\n- ${unresolved.join("\n- ")}\nUse numeric IDs or check the spelling (search_keywords, search_tmdb_person, search_company, get_watch_providers).`);
+    }
+    return {params, resolution};
+}
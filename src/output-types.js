@@ -0,0 +1,455 @@
+// Output types: JSON Schemas for the structuredContent returned by each tool, published as the tools'
+// MCP outputSchema. The types are versioned together: within a version fields are only ever added;
+// renaming, removing or retyping a field bumps OUTPUT_TYPES_VERSION (and is called out in the changelog).
+// Objects allow extra properties, so `truncated` (response size cap) and image *_url fields always validate.
+
+export const OUTPUT_TYPES_VERSION = 1;
+
+const VERSION_COMMENT = `wizzy-mcp-tmdb output types v${OUTPUT_TYPES_VERSION}`;
+
+// TMDB sends null for many unknown values (runtime, logo_path, ...)
+const nullable = (type, description) => ({type: [type, "null"], ...(description ? {description} : {})});
+const arrayOf = (items, description) => ({type: "array", items, ...(description ? {description} : {})});
+
+function defineType(title, description, properties, required = []) {
+    return {title, description, $comment: VERSION_COMMENT, type: "object", properties, ...(required.length ? {required} : {})};
+}
+
+// A TMDB payload passed through unchanged (see the TMDB API reference for its fields)
+export const TmdbObject = defineType("TmdbObject", "TMDB payload passed through unchanged; see https://developer.themoviedb.org/reference", {
+    id: nullable("number", "TMDB ID"),
+});
+
+// mapSearchResult()
+export const SearchResult = defineType("SearchResult", "A movie, TV show or person normalized for AI consumption", {
+    id: {type: "number"},
+    media_type: {type: "string", description: "movie, tv, person or unknown"},
+    title: {type: "string", description: "Title (movies) or name (TV shows, people)"},
+    date: {type: "string", description: "Release or first air date (YYYY-MM-DD), empty when unknown"},
+    original_language: nullable("string"),
+    popularity: nullable("number"),
+    vote_average: nullable("number"),
+    overview: nullable("string"),
+    certification: {type: "string", description: "Age rating in certification_country, when max_certification was given"},
+}, ["id", "media_type", "title", "date"]);
+
+// mapEpisode()
+export const Episode = defineType("Episode", "A TV episode", {
+    id: nullable("number"),
+    season_number: {type: "number"},
+    episode_number: {type: "number"},
+    name: nullable("string"),
+    air_date: {type: "string", description: "YYYY-MM-DD, empty when unknown"},
+    runtime: nullable("number", "Minutes"),
+    vote_average: nullable("number"),
+    vote_count: nullable("number"),
+    overview: nullable("string"),
+}, ["season_number", "episode_number"]);
+
+// mapCredit()
+export const Credit = defineType("Credit", "A cast, crew or guest star credit", {
+    id: {type: "number", description: "TMDB person ID"},
+    name: {type: "string"},
+    character: nullable("string", "Cast only"),
+    job: nullable("string", "Crew only"),
+    department: nullable("string", "Crew only"),
+    order: nullable("number", "Billing order, cast only"),
+}, ["id", "name"]);
+
+export const Organization = defineType("Organization", "A production company or TV network", {
+    id: {type: "number"},
+    name: {type: "string"},
+    description: nullable("string"),
+    headquarters: nullable("string"),
+    homepage: nullable("string"),
+    origin_country: nullable("string"),
+    logo_path: nullable("string"),
+    parent_company: {type: ["object", "null"], description: "Companies only: {id, name, logo_path}"},
+    alternative_names: arrayOf({type: "string"}),
+    logos: arrayOf({type: "object"}, "{file_path, file_type, aspect_ratio, width, height}"),
+}, ["id", "name"]);
+
+export const ExternalIdMatches = defineType("ExternalIdMatches", "TMDB entities matching an external ID", {
+    external_id: {type: "string"},
+    source: {type: "string", description: "imdb, tvdb, wikidata, facebook, instagram or tiktok"},
+    results: arrayOf({
+        ...SearchResult,
+        title: "FindResult",
+        properties: {
+            ...SearchResult.properties,
+            media_type: {type: "string", description: "movie, tv, person, tv_season or tv_episode"},
+            show_id: {type: "number", description: "Seasons and episodes: the TMDB TV show ID"},
+            season_number: {type: "number"},
+            episode_number: {type: "number"},
+        },
+    }),
+}, ["external_id", "source", "results"]);
+
+// A page of results, or several merged pages (limit/max_pages)
+export function pageOf(item, title, extraProperties = {}) {
+    return defineType(title, `A page of ${item.title} items`, {
+        page: {type: "number"},
+        total_pages: {type: "number"},
+        total_results: {type: "number"},
+        pages_fetched: {type: "number", description: "Present when several pages were merged"},
+        next_cursor: {type: ["string", "null"], description: "Pass as cursor to continue; null when exhausted"},
+        results: arrayOf(item),
+        certification_filter: {
+            type: "object",
+            description: "Present with max_certification: {country, max_certification, removed_above, removed_unrated}, plus unchecked (media types max_certification has no rating for, whose titles were all removed) and removed_unchecked",
+        },
+        ...extraProperties,
+    }, ["results"]);
+}
+
+export const SearchResultPage = pageOf(SearchResult, "SearchResultPage");
+export const TmdbPage = pageOf(TmdbObject, "TmdbPage");
+
+// /movie/{id}/reviews entries; unlike most TMDB objects their IDs are strings
+export const Review = defineType("Review", "A user review", {
+    id: {type: "string", description: "TMDB review ID (e.g., 5b1c13b9c3a36848f2026384)"},
+    author: {type: "string"},
+    author_details: {type: "object", description: "{name, username, avatar_path, rating}"},
+    content: {type: "string"},
+    created_at: {type: "string"},
+    updated_at: {type: "string"},
+    url: {type: "string"},
+}, ["id"]);
+
+export const ReviewPage = pageOf(Review, "ReviewPage", {
+    id: {type: "number", description: "TMDB movie ID"},
+});
+export const DiscoverPage = pageOf(TmdbObject, "DiscoverPage", {
+    name_resolution: {type: "object", description: "How each name passed in a filter was resolved to an ID"},
+});
+
+export const Credits = defineType("Credits", "Cast and crew of a movie or TV show (TMDB credit objects)", {
+    id: {type: "number"},
+    cast: arrayOf(TmdbObject),
+    crew: arrayOf(TmdbObject),
+});
+
+export const Season = defineType("Season", "A TV season with its episodes", {
+    id: nullable("number"),
+    tv_id: {type: "number"},
+    season_number: {type: "number"},
+    name: nullable("string"),
+    air_date: {type: "string"},
+    vote_average: nullable("number"),
+    episode_count: {type: "number"},
+    total_runtime: {type: "number", description: "Minutes, sum of the known episode runtimes"},
+    overview: nullable("string"),
+    episodes: arrayOf(Episode),
+}, ["tv_id", "episodes"]);
+
+export const EpisodeDetails = defineType("EpisodeDetails", "An episode with key crew and guest stars; episode is null when which=next|last has no answer", {
+    ...Episode.properties,
+    tv_id: {type: "number"},
+    which: {type: "string", enum: ["next", "last"]},
+    crew: arrayOf(Credit, "Directors and writers"),
+    guest_stars: arrayOf(Credit),
+    episode: {type: "null"},
+    status: {type: "string"},
+    message: {type: "string"},
+}, ["tv_id"]);
+
+export const EpisodeCredits = defineType("EpisodeCredits", "Regular cast, guest stars and crew of an episode", {
+    tv_id: {type: "number"},
+    season_number: {type: "number"},
+    episode_number: {type: "number"},
+    cast: arrayOf(Credit),
+    guest_stars: arrayOf(Credit),
+    crew: arrayOf(Credit),
+}, ["tv_id", "cast", "guest_stars", "crew"]);
+
+const ProviderOffer = defineType("ProviderOffer", "A watch provider offering the title", {
+    id: {type: "number"},
+    name: {type: "string"},
+}, ["id", "name"]);
+
+export const WatchAvailability = defineType("WatchAvailability", "Where a title can be watched, per region and monetization type", {
+    id: {type: "number"},
+    type: {type: "string", enum: ["movie", "tv"]},
+    providers: arrayOf({type: "string"}, "The services the offers were filtered to"),
+    regions: {
+        type: "object",
+        description: "ISO 3166-1 region -> {link, flatrate, free, ads, rent, buy}",
+        additionalProperties: {
+            type: "object",
+            properties: {
+                link: {type: "string"},
+                flatrate: arrayOf(ProviderOffer),
+                free: arrayOf(ProviderOffer),
+                ads: arrayOf(ProviderOffer),
+                rent: arrayOf(ProviderOffer),
+                buy: arrayOf(ProviderOffer),
+            },
+        },
+    },
+    available_in: arrayOf({type: "string"}),
+    unavailable_in: arrayOf({type: "string"}),
+}, ["id", "type", "regions", "available_in", "unavailable_in"]);
+
+export const Video = defineType("Video", "A trailer, teaser, clip or other video hosted on YouTube or Vimeo", {
+    id: {type: "string"},
+    name: {type: "string"},
+    type: {type: "string", description: "Trailer, Teaser, Clip, Featurette, Behind the Scenes, Bloopers or Opening Credits"},
+    site: {type: "string", description: "YouTube or Vimeo"},
+    key: {type: "string", description: "Video ID on the site"},
+    url: nullable("string", "Watch URL; null for sites without a known URL format"),
+    official: {type: "boolean"},
+    language: nullable("string", "ISO 639-1"),
+    region: nullable("string", "ISO 3166-1"),
+    size: nullable("number", "Vertical resolution (360, 720, 1080, ...)"),
+    published_at: nullable("string"),
+}, ["id", "name", "type", "site", "key", "url"]);
+
+export const VideoList = defineType("VideoList", "Videos of a movie, TV show or season, best match first", {
+    id: {type: "number"},
+    type: {type: "string", enum: ["movie", "tv"]},
+    season_number: {type: "number"},
+    language: {type: "string", description: "ISO 639-1 language the videos were ranked for"},
+    language_fallback: {type: "boolean", description: "True when no video was in the requested language"},
+    total: {type: "number", description: "Matching videos before limit"},
+    videos: arrayOf(Video),
+}, ["id", "type", "videos"]);
+
+export const ReleaseDates = defineType("ReleaseDates", "A movie's releases and certification per country", {
+    id: {type: "number"},
+    country: {type: "string", description: "Present when the result was narrowed to one country"},
+    certification: nullable("string", "Certification in country (theatrical release first)"),
+    countries: arrayOf({
+        type: "object",
+        properties: {
+            country: {type: "string", description: "ISO 3166-1"},
+            certification: nullable("string"),
+            releases: arrayOf({
+                type: "object",
+                properties: {
+                    type: {type: "number"},
+                    type_name: {type: "string", description: "Premiere, Theatrical (limited), Theatrical, Digital, Physical or TV"},
+                    date: {type: "string", description: "YYYY-MM-DD"},
+                    certification: {type: "string"},
+                    language: nullable("string"),
+                    note: {type: "string"},
+                },
+            }),
+        },
+    }),
+}, ["id", "countries"]);
+
+export const ContentRatings = defineType("ContentRatings", "A TV show's content rating per country", {
+    id: {type: "number"},
+    country: {type: "string", description: "Present when the result was narrowed to one country"},
+    certification: nullable("string", "Rating in country"),
+    ratings: arrayOf({
+        type: "object",
+        properties: {
+            country: {type: "string", description: "ISO 3166-1"},
+            rating: {type: "string"},
+            descriptors: arrayOf({type: "string"}),
+        },
+    }),
+}, ["id", "ratings"]);
+
+export const CertificationList = defineType("CertificationList", "Valid movie or TV certifications per country, least restrictive first", {
+    type: {type: "string", enum: ["movie", "tv"]},
+    countries: {
+        type: "object",
+        description: "ISO 3166-1 country -> certifications",
+        additionalProperties: arrayOf({
+            type: "object",
+            properties: {certification: {type: "string"}, meaning: {type: "string"}, order: {type: "number"}},
+        }),
+    },
+}, ["type", "countries"]);
+
+export const BlendedRecommendations = defineType("BlendedRecommendations", "Recommendations blended from several seed titles, best first", {
+    seeds: arrayOf({type: "object", properties: {type: {type: "string"}, id: {type: "number"}}}),
+    source: {type: "string", enum: ["recommendations", "similar", "both"]},
+    providers: arrayOf({type: "string"}, "The services results were filtered to"),
+    watch_region: {type: "string"},
+    total_candidates: {type: "number", description: "Distinct titles suggested by the seeds, before limit and the provider filter"},
+    results: arrayOf({
+        ...SearchResult,
+        title: "BlendedResult",
+        properties: {
+            ...SearchResult.properties,
+            score: {type: "number", description: "seed_matches plus popularity relative to the most popular candidate (0-1)"},
+            seed_matches: {type: "number", description: "How many seeds suggested the title"},
+            from_seeds: arrayOf({type: "string"}, "Seeds that suggested it, as type:id"),
+            available_on: arrayOf({type: "string"}, "Matching providers, when filtering by providers"),
+        },
+        required: ["id", "media_type", "title", "score", "seed_matches"],
+    }),
+}, ["seeds", "results"]);
+
+export const PersonFilmography = defineType("PersonFilmography", "A person's credits merged per title, sorted", {
+    person_id: {type: "number"},
+    total: {type: "number", description: "Matching titles before limit"},
+    self_appearances_excluded: {type: "number", description: "Talk-show, news and self appearances left out"},
+    credits: arrayOf(defineType("FilmographyEntry", "A title with every role the person had on it", {
+        id: {type: "number"},
+        media_type: {type: "string", enum: ["movie", "tv"]},
+        title: {type: "string"},
+        date: {type: "string", description: "Release or first air date, empty when unknown"},
+        year: nullable("number"),
+        popularity: nullable("number"),
+        vote_average: nullable("number"),
+        characters: arrayOf({type: "string"}),
+        jobs: arrayOf({type: "string"}, "Actor for cast credits, else the crew job"),
+        departments: arrayOf({type: "string"}),
+        episode_count: {type: "number", description: "TV only"},
+    }, ["id", "media_type", "title", "jobs", "departments"])),
+}, ["person_id", "total", "credits"]);
+
+export const SharedCredits = defineType("SharedCredits", "Titles several people all worked on, with each person's roles", {
+    people: arrayOf(defineType("ResolvedPerson", "A person as given and as resolved", {
+        input: {type: "string"},
+        id: {type: "number"},
+        name: {type: "string"},
+        match: {type: "string", description: "exact, partial or top result, when given by name"},
+    }, ["id"])),
+    credit_type: {type: "string", enum: ["any", "cast", "crew"]},
+    total: {type: "number", description: "Shared titles before limit"},
+    credits: arrayOf(defineType("SharedTitle", "A title with each person's characters and jobs on it", {
+        id: {type: "number"},
+        media_type: {type: "string", enum: ["movie", "tv"]},
+        title: {type: "string"},
+        date: {type: "string"},
+        year: nullable("number"),
+        popularity: nullable("number"),
+        vote_average: nullable("number"),
+        people: arrayOf({
+            type: "object",
+            properties: {
+                id: {type: "number"},
+                name: {type: "string"},
+                characters: arrayOf({type: "string"}),
+                jobs: arrayOf({type: "string"}),
+            },
+        }),
+    }, ["id", "media_type", "title", "people"])),
+}, ["people", "total", "credits"]);
+
+const PathPerson = {
+    type: "object",
+    properties: {id: {type: "number"}, name: {type: "string"}, role: {type: "string", description: "Character(s) or job(s) in the title"}},
+};
+
+export const ConnectionPath = defineType("ConnectionPath", "The shortest chain of shared titles between two people", {
+    found: {type: "boolean"},
+    degrees: {type: "number", description: "Titles in the chain"},
+    path: arrayOf({
+        type: "object",
+        properties: {
+            title: {type: "object", properties: {id: {type: "number"}, media_type: {type: "string"}, title: {type: "string"}, date: {type: "string"}}},
+            from: PathPerson,
+            to: PathPerson,
+        },
+    }),
+    stopped: {type: "string", enum: ["max_depth", "max_requests", "no_more_links"], description: "Why the search ended without a chain"},
+    from: {type: "object", properties: {id: {type: "number"}, name: {type: "string"}}},
+    to: {type: "object", properties: {id: {type: "number"}, name: {type: "string"}}},
+    requests_used: {type: "number"},
+    max_requests: {type: "number"},
+    max_depth: {type: "number"},
+    partial_search: {type: "boolean", description: "The request budget cut a search level short, so a shorter chain may exist"},
+}, ["found", "from", "to", "requests_used"]);
+
+export const Collection = defineType("Collection", "A TMDB collection with its films in release order", {
+    id: {type: "number"},
+    name: {type: "string"},
+    overview: nullable("string"),
+    parts: arrayOf({
+        ...SearchResult,
+        title: "CollectionPart",
+        properties: {...SearchResult.properties, release_date: {type: "string"}},
+        required: ["id", "title", "release_date"],
+    }),
+}, ["id", "name", "parts"]);
+
+export const FranchiseOrder = defineType("FranchiseOrder", "A franchise in release order with runtimes; collection is null when the movie is standalone", {
+    movie_id: {type: "number"},
+    title: {type: "string"},
+    collection: {type: ["object", "null"], properties: {id: {type: "number"}, name: {type: "string"}}},
+    parts: arrayOf({
+        type: "object",
+        properties: {
+            order: {type: "number"},
+            id: {type: "number"},
+            title: {type: "string"},
+            release_date: {type: "string"},
+            runtime: nullable("number"),
+            status: nullable("string"),
+            released: {type: "boolean"},
+        },
+    }),
+    total_runtime: {type: "number", description: "Minutes, released parts only"},
+    released_count: {type: "number"},
+    unreleased: arrayOf({type: "object"}),
+    message: {type: "string"},
+}, ["movie_id", "collection"]);
+
+export const ChangedIds = defineType("ChangedIds", "IDs changed in a date range", {
+    type: {type: "string", enum: ["movie", "tv", "person"]},
+    start_date: {type: "string"},
+    end_date: {type: "string"},
+    windows: {type: "number", description: "14-day windows queried"},
+    pages_fetched: {type: "number"},
+    complete: {type: "boolean", description: "False when a window had more pages than were fetched"},
+    total: {type: "number"},
+    results: arrayOf({type: "object", properties: {id: {type: "number"}, adult: {type: ["boolean", "null"]}}, required: ["id"]}),
+}, ["type", "complete", "results"]);
+
+export const EntityChanges = defineType("EntityChanges", "Change history of one entity, grouped by field", {
+    id: {type: "number"},
+    type: {type: "string"},
+    start_date: {type: "string"},
+    end_date: {type: "string"},
+    changes: arrayOf({
+        type: "object",
+        properties: {
+            key: {type: "string", description: "Changed field (e.g., overview, images, cast)"},
+            items: arrayOf({type: "object", description: "{id, action, time, iso_639_1, iso_3166_1, value, original_value}"}),
+        },
+    }),
+}, ["id", "type", "changes"]);
+
+export const SyncResult = defineType("SyncResult", "Entities changed since the last sync, with their changed fields", {
+    type: {type: "string"},
+    since: {type: "string"},
+    until: {type: "string"},
+    next_since: {type: "string", description: "Pass as since on the next run"},
+    complete: {type: "boolean", description: "False when the feed was cut by max_pages or IDs were left uninspected"},
+    total_ids: {type: "number"},
+    changed: arrayOf({
+        type: "object",
+        properties: {id: {type: "number"}, fields: arrayOf({type: "string"}), last_changed: {type: "string"}},
+    }),
+    unchanged_in_range: {type: "number", description: "IDs in the feed whose changes all fell outside since-until"},
+    not_inspected: arrayOf({type: "number"}, "Changed IDs beyond max_ids"),
+}, ["type", "since", "next_since", "changed", "not_inspected"]);
+
+export const ImageInfo = defineType("ImageInfo", "The image returned as image content", {
+    url: {type: "string"},
+    size: {type: "string", description: "TMDB size actually returned (e.g., w342)"},
+    bytes: {type: "number"},
+    mime_type: {type: "string"},
+}, ["url", "size", "bytes", "mime_type"]);
+
+export const CacheStats = defineType("CacheStats", "Response cache statistics", {
+    enabled: {type: "boolean"},
+    entries: {type: "number"},
+    max_entries: {type: "number"},
+    persistent: {type: "boolean"},
+    hits: {type: "number"},
+    misses: {type: "number"},
+    coalesced: {type: "number"},
+    hit_rate: {type: "number"},
+    families: {type: "object", description: "Endpoint family -> {hits, misses, hit_rate}"},
+}, ["enabled"]);
+
+export const CacheClearResult = defineType("CacheClearResult", "Outcome of cache_clear", {
+    removed: {type: "number"},
+}, ["removed"]);
@@ -0,0 +1,89 @@
+// Multi-page aggregation for the list tools (search, discover, trending, TV lists).
+// With limit and/or max_pages the server walks TMDB pages itself, fetching them concurrently
+// (the client's rate limiter bounds the actual concurrency), drops duplicates that shift between
+// pages and returns one merged page plus a cursor to continue from.
+
+// TMDB refuses pages beyond 500 on most list endpoints
+const MAX_TMDB_PAGE = 500;
+// Upper bound on pages fetched by a single tool call
+export const MAX_PAGES_PER_CALL = 10;
+
+// Schema properties shared by every paginated tool
+export const PAGINATION_PROPERTIES = {
+    limit: {type: "number", minimum: 1, maximum: 200, description: "Return up to this many results, fetching as many pages as needed"},
+    max_pages: {type: "number", minimum: 1, maximum: MAX_PAGES_PER_CALL, description: `Fetch up to this many pages (default enough for limit, at most ${MAX_PAGES_PER_CALL})`},
+    cursor: {type: "string", description: "next_cursor from a previous call, to continue where it stopped (overrides page)"},
+};
+
+// Cursors are "<page>:<offset>", the first item not returned yet
+function parseCursor(cursor) {
+    const match = /^(\d+):(\d+)$/.exec(cursor);
+    if (!match) throw new Error(`Invalid cursor "${cursor}". Pass next_cursor from a previous result unchanged`);
+    return {page: Number(match[1]), offset: Number(match[2])};
+}
+
+const dedupeKey = (item) => `${item.media_type || ""}:${item.id}`;
+
+// Fetch one or more pages of a TMDB list endpoint. Without limit, max_pages or cursor this is a plain
+// single-page request and the TMDB payload comes back unchanged.
+export async function fetchPages(tmdbFetch, path, params = {}, {limit, max_pages, cursor} = {}) {
+    if (limit === undefined && max_pages === undefined && cursor === undefined) {
+        return tmdbFetch(path, params);
+    }
+    const start = cursor ? parseCursor(cursor) : {page: params.page || 1, offset: 0};
+    const first = await tmdbFetch(path, {...params, page: start.page});
+    const pageSize = (first.results || []).length || 20;
+    const lastPage = Math.min(
+        first.total_pages || start.page,
+        MAX_TMDB_PAGE,
+        start.page + Math.min(max_pages ?? MAX_PAGES_PER_CALL, MAX_PAGES_PER_CALL) - 1,
+    );
+    const wanted = limit ?? Infinity;
+
+    const pages = new Map([[start.page, first]]);
+    const seen = new Set();
+    const results = [];
+    let nextCursor = null;
+    let page = start.page;
+    let offset = start.offset;
+    collect: while (page <= lastPage && results.length < wanted) {
+        // Fetch, all at once, the pages still needed to fill the limit (duplicates may call for another round)
+        const missing = wanted === Infinity ? lastPage - page + 1 : Math.ceil((wanted - results.length + offset) / pageSize);
+        const batch = [];
+        for (let p = page; p <= Math.min(lastPage, page + missing - 1); p++) {
+            if (!pages.has(p)) batch.push(p);
+        }
+        const fetched = await Promise.all(batch.map(p => tmdbFetch(path, {...params, page: p})));
+        batch.forEach((p, i) => pages.set(p, fetched[i]));
+
+        for (; page <= lastPage && pages.has(page); page++, offset = 0) {
+            const items = pages.get(page).results || [];
+            for (let i = offset; i < items.length; i++) {
+                if (results.length >= wanted) {
+                    nextCursor = `${page}:${i}`;
+                    break collect;
+                }
+                const key = dedupeKey(items[i]);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                results.push(items[i]);
+            }
+        }
+    }
+    const totalPages = Math.min(first.total_pages || start.page, MAX_TMDB_PAGE);
+    if (!nextCursor && page <= totalPages) nextCursor = `${page}:0`;
+
+    return {
+        page: start.page,
+        total_pages: first.total_pages,
+        total_results: first.total_results,
+        pages_fetched: pages.size,
+        results,
+        next_cursor: nextCursor,
+    };
+}
+
+// Split the pagination arguments from the TMDB query parameters
+export function splitPagination({limit, max_pages, cursor, ...rest} = {}) {
+    return {pagination: {limit, max_pages, cursor}, params: rest};
+}
@@ -0,0 +1,130 @@
+// MCP prompts (prompts/list, prompts/get): parameterised templates for common movie-night workflows.
+// Each template tells the model which tools to chain; arguments arrive as strings, as per the MCP spec.
+
+import {ErrorCode, McpError} from "@modelcontextprotocol/sdk/types.js";
+
+const optional = (value, text) => (value ? text : null);
+
+// An argument value the model fills in, shown as the hint text; other values are shown as JSON literals
+const described = (text) => ({described: text});
+
+// A step that calls a tool: "<lead><tool> with <name> <value>, ... and <name> <value><rest>".
+// Keeps the tool and arguments alongside the text so they can be checked against the tools registry.
+function toolCall(lead, tool, args = {}, rest = "") {
+    const parts = Object.entries(args).map(([name, value]) => `${name} ${value?.described ?? JSON.stringify(value)}`);
+    const list = parts.length > 1 ? `${parts.slice(0, -1).join(", ")} and ${parts.at(-1)}` : parts[0];
+    return {tool, arguments: args, text: `${lead}${tool}${list ? ` with ${list}` : ""}${rest}`};
+}
+
+function userMessage(lines) {
+    return {
+        role: "user",
+        content: {type: "text", text: lines.filter(line => line !== null).map(line => line.text ?? line).join("\n")},
+    };
+}
+
+// Prompts registry. lines(args) returns the text lines of the prompt message for prompts/get; tool-calling
+// steps are toolCall() objects.
+export const prompts = [
+    {
+        name: "watch_tonight",
+        title: "What should we watch tonight?",
+        description: "Suggests something to watch tonight on the user's streaming services, chaining get_watch_providers -> discover_movies (or discover_tv) -> get_tmdb_details.",
+        arguments: [
+            {name: "region", description: "ISO 3166-1 country code where the user watches (e.g., US, IT)", required: true},
+            {name: "providers", description: "Comma-separated streaming services the user subscribes to (names or provider IDs, e.g., Netflix,Disney Plus)"},
+            {name: "mood", description: "Mood or genre wishes (e.g., light comedy, mind-bending sci-fi)"},
+            {name: "max_runtime", description: "Maximum runtime in minutes"},
+            {name: "media_type", description: "movie or tv (default: movie)"},
+        ],
+        lines: ({region, providers, mood, max_runtime, media_type = "movie"}) => [
+            `Help me pick something to watch tonight in ${region}.`,
+            optional(providers, `My streaming services: ${providers}.`),
+            optional(mood, `I'm in the mood for: ${mood}.`),
+            optional(max_runtime, `It must be at most ${max_runtime} minutes long.`),
+            `I want a ${media_type === "tv" ? "TV show" : "movie"}.`,
+            "",
+            "Use the TMDB tools in this order:",
+            toolCall("1. Call ", "get_watch_providers", {type: media_type, watch_region: region},
+                ` to resolve ${providers ? "my services" : "the major services in my region"} to provider IDs. Never guess IDs.`),
+            toolCall("2. Call ", media_type === "tv" ? "discover_tv" : "discover_movies", {
+                with_watch_providers: described("set to those IDs (pipe-separated means OR)"),
+                watch_region: region,
+                sort_by: "popularity.desc",
+                with_watch_monetization_types: "flatrate",
+                ...(max_runtime ? {"with_runtime.lte": described(max_runtime)} : {}),
+                with_genres: described("matching the mood (leave it out if no genre fits)"),
+            }, "."),
+            toolCall("3. Shortlist 3-5 candidates that fit the mood and have a decent vote_average and vote_count, then call ", "get_tmdb_details",
+                {type: media_type, id: described("of each candidate"), append: "credits"}, " to check runtime, overview and cast."),
+            "",
+            "Answer with up to 3 picks: title, year, runtime, which of my services has it, and one sentence on why it fits tonight.",
+        ],
+    },
+    {
+        name: "season_catch_up",
+        title: "Catch me up before the new season",
+        description: "Recaps a TV show before a new season, chaining search_tmdb_tv -> get_tmdb_details (with season appends) -> tv_credits.",
+        arguments: [
+            {name: "show", description: "TMDB TV show ID, or the show's name if the ID is unknown", required: true},
+            {name: "season", description: "The upcoming season number; previous seasons are recapped (default: the latest season)"},
+            {name: "spoiler_level", description: "light (default) or full"},
+        ],
+        lines: ({show, season, spoiler_level = "light"}) => [
+            `Catch me up on the TV show ${/^\d+$/.test(show) ? `with TMDB ID ${show}` : `"${show}"`} before ${season ? `season ${season}` : "the new season"}.`,
+            "",
+            "Use the TMDB tools in this order:",
+            /^\d+$/.test(show)
+                ? `1. Use TMDB TV ID ${show} directly.`
+                : toolCall("1. Call ", "search_tmdb_tv", {query: show}, " and pick the best match by name and first air date."),
+            toolCall("2. Call ", "get_tmdb_details", {type: "tv", id: described("of the show")},
+                " to read number_of_seasons, status, next_episode_to_air and last_episode_to_air."),
+            toolCall("3. Call ", "get_tmdb_details", {
+                type: "tv",
+                id: described("of the show"),
+                append: described(`"season/1,season/2,..." listing the seasons before ${season ? `season ${season}` : "the latest one"} (at most 19 per call)`),
+            }, " to read every episode overview."),
+            toolCall("4. Call ", "tv_credits", {tv_id: described("of the show")}, " to remind me who the main characters are and who plays them."),
+            "",
+            spoiler_level === "full"
+                ? "Write a full recap, season by season, including endings and twists."
+                : "Write a light recap: main arcs and where the characters stand, without revealing major twists unless essential.",
+            "Finish with when the next season or episode airs, if TMDB knows it.",
+        ],
+    },
+    {
+        name: "compare_films",
+        title: "Compare two films",
+        description: "Compares two films side by side, chaining search_tmdb_movies -> get_tmdb_details (with credits appended) -> movie_reviews.",
+        arguments: [
+            {name: "first", description: "First film: TMDB movie ID or title (optionally with year, e.g., Dune 2021)", required: true},
+            {name: "second", description: "Second film: TMDB movie ID or title", required: true},
+            {name: "focus", description: "What to focus on (e.g., direction, performances, family-friendliness)"},
+        ],
+        lines: ({first, second, focus}) => [
+            `Compare these two films: "${first}" and "${second}".`,
+            optional(focus, `Focus especially on: ${focus}.`),
+            "",
+            "Use the TMDB tools in this order, for each film:",
+            toolCall("1. If it is not a numeric TMDB ID, call ", "search_tmdb_movies", {query: described("set to the title"), year: described("when given")},
+                " and pick the best match."),
+            toolCall("2. Call ", "get_tmdb_details", {type: "movie", id: described("of the film"), append: "credits,release_dates"},
+                " for runtime, genres, budget, revenue, director and cast."),
+            toolCall("3. Call ", "movie_reviews", {movie_id: described("of the film"), page: 1}, " to sample audience opinion."),
+            "",
+            "Present a side-by-side comparison (year, runtime, genres, director, lead cast, rating and vote count, box office), then a short verdict on who would enjoy which film more.",
+        ],
+    },
+];
+
+export function getPrompt(name, args = {}, registry = prompts) {
+    const prompt = registry.find(p => p.name === name);
+    if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    const missing = prompt.arguments.filter(a => a.required && !args[a.name]).map(a => a.name);
+    if (missing.length) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required argument(s) for prompt ${name}: ${missing.join(", ")}`);
+    }
+    return {description: prompt.description, messages: [userMessage(prompt.lines(args))]};
+}
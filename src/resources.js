@@ -0,0 +1,193 @@
+// TMDB entities exposed as MCP resources (resources/list, resources/templates/list, resources/read).
+// Every resource is readable as markdown (for attaching as context) and as raw JSON; add ?format=markdown
+// or ?format=json to a URI to get only one of the two renderings.
+
+import {ErrorCode, McpError} from "@modelcontextprotocol/sdk/types.js";
+import {fetchDetails} from "./tools.js";
+
+const TMDB_WEB = "https://www.themoviedb.org";
+const FORMATS = ["markdown", "json"];
+
+const year = (date) => (date ? ` (${date.slice(0, 4)})` : "");
+const bullet = (label, value) => (value === undefined || value === null || value === "" ? null : `- **${label}:** ${value}`);
+const names = (list) => (list || []).map(item => item.name).filter(Boolean).join(", ");
+const rating = (item) => (item.vote_count ? `${item.vote_average}/10 (${item.vote_count} votes)` : null);
+
+function renderCredits(credits, {castLimit = 10} = {}) {
+    if (!credits) return [];
+    const lines = [];
+    const cast = (credits.cast || []).slice(0, castLimit);
+    if (cast.length) {
+        lines.push("", "## Cast", ...cast.map(c => `- ${c.name}${c.character ? ` as ${c.character}` : ""}`));
+    }
+    const keyCrew = (credits.crew || []).filter(c => ["Director", "Screenplay", "Writer", "Creator", "Original Music Composer"].includes(c.job));
+    if (keyCrew.length) {
+        lines.push("", "## Key crew", ...keyCrew.map(c => `- ${c.name} (${c.job})`));
+    }
+    return lines;
+}
+
+function renderMovie(movie) {
+    return [
+        `# ${movie.title}${year(movie.release_date)}`,
+        movie.tagline ? `*${movie.tagline}*` : null,
+        "",
+        bullet("Released", movie.release_date),
+        bullet("Runtime", movie.runtime ? `${movie.runtime} min` : null),
+        bullet("Genres", names(movie.genres)),
+        bullet("Rating", rating(movie)),
+        bullet("Original language", movie.original_language),
+        bullet("Status", movie.status),
+        bullet("Collection", movie.belongs_to_collection && movie.belongs_to_collection.name),
+        bullet("TMDB", `${TMDB_WEB}/movie/${movie.id}`),
+        "",
+        "## Overview",
+        movie.overview || "No overview available.",
+        ...renderCredits(movie.credits),
+    ];
+}
+
+function renderTv(show) {
+    return [
+        `# ${show.name}${year(show.first_air_date)}`,
+        show.tagline ? `*${show.tagline}*` : null,
+        "",
+        bullet("First aired", show.first_air_date),
+        bullet("Last aired", show.last_air_date),
+        bullet("Status", show.status),
+        bullet("Seasons", show.number_of_seasons),
+        bullet("Episodes", show.number_of_episodes),
+        bullet("Networks", names(show.networks)),
+        bullet("Genres", names(show.genres)),
+        bullet("Rating", rating(show)),
+        bullet("Created by", names(show.created_by)),
+        bullet("TMDB", `${TMDB_WEB}/tv/${show.id}`),
+        "",
+        "## Overview",
+        show.overview || "No overview available.",
+        ...(show.seasons && show.seasons.length
+            ? ["", "## Seasons", ...show.seasons.map(s => `- ${s.name}${year(s.air_date)}: ${s.episode_count} episodes (tmdb://tv/${show.id}/season/${s.season_number})`)]
+            : []),
+        ...renderCredits(show.credits),
+    ];
+}
+
+function renderSeason(season, {id}) {
+    return [
+        `# ${season.name}${year(season.air_date)}`,
+        "",
+        bullet("Show", `tmdb://tv/${id}`),
+        bullet("Season number", season.season_number),
+        bullet("Air date", season.air_date),
+        bullet("Episodes", (season.episodes || []).length),
+        bullet("Rating", season.vote_average ? `${season.vote_average}/10` : null),
+        bullet("TMDB", `${TMDB_WEB}/tv/${id}/season/${season.season_number}`),
+        "",
+        "## Overview",
+        season.overview || "No overview available.",
+        "",
+        "## Episodes",
+        ...(season.episodes || []).map(e => `- E${e.episode_number} ${e.name}${e.air_date ? ` (${e.air_date})` : ""}${e.runtime ? `, ${e.runtime} min` : ""}${e.vote_average ? `, ${e.vote_average}/10` : ""}`),
+    ];
+}
+
+function renderPerson(person) {
+    const credits = person.combined_credits || {};
+    const knownFor = [...(credits.cast || []), ...(credits.crew || [])]
+        .sort((a, b) => (b.popularity || 0) - (a.popularity || 0))
+        .filter((item, i, all) => all.findIndex(other => other.id === item.id && other.media_type === item.media_type) === i)
+        .slice(0, 10);
+    return [
+        `# ${person.name}`,
+        "",
+        bullet("Known for", person.known_for_department),
+        bullet("Born", person.birthday && `${person.birthday}${person.place_of_birth ? `, ${person.place_of_birth}` : ""}`),
+        bullet("Died", person.deathday),
+        bullet("Also known as", (person.also_known_as || []).slice(0, 5).join(", ")),
+        bullet("TMDB", `${TMDB_WEB}/person/${person.id}`),
+        "",
+        "## Biography",
+        person.biography || "No biography available.",
+        ...(knownFor.length
+            ? ["", "## Known for", ...knownFor.map(c => `- ${c.title || c.name}${year(c.release_date || c.first_air_date)}${c.character ? ` as ${c.character}` : c.job ? ` (${c.job})` : ""} (tmdb://${c.media_type}/${c.id})`)]
+            : []),
+    ];
+}
+
+// Resource templates registry. pattern matches the URI without its query string; load fetches the entity
+// through the same tmdbFetch path as get_tmdb_details; render turns it into markdown.
+export const resourceTemplates = [
+    {
+        name: "tmdb_movie",
+        title: "TMDB movie",
+        uriTemplate: "tmdb://movie/{id}",
+        description: "A movie with overview, runtime, genres, rating, top cast and key crew. Add ?format=json for the raw TMDB payload only.",
+        pattern: /^tmdb:\/\/movie\/(?<id>\d+)$/,
+        load: ({id}, {tmdbFetch}) => fetchDetails(tmdbFetch, "movie", id, {append: "credits"}),
+        render: renderMovie,
+    },
+    {
+        name: "tmdb_tv",
+        title: "TMDB TV show",
+        uriTemplate: "tmdb://tv/{id}",
+        description: "A TV show with status, networks, seasons, top cast and creators. Add ?format=json for the raw TMDB payload only.",
+        pattern: /^tmdb:\/\/tv\/(?<id>\d+)$/,
+        load: ({id}, {tmdbFetch}) => fetchDetails(tmdbFetch, "tv", id, {append: "credits"}),
+        render: renderTv,
+    },
+    {
+        name: "tmdb_tv_season",
+        title: "TMDB TV season",
+        uriTemplate: "tmdb://tv/{id}/season/{season_number}",
+        description: "A TV season with its episode list (air dates, runtimes, ratings). Add ?format=json for the raw TMDB payload only.",
+        pattern: /^tmdb:\/\/tv\/(?<id>\d+)\/season\/(?<season_number>\d+)$/,
+        load: ({id, season_number}, {tmdbFetch}) => tmdbFetch(`/tv/${id}/season/${season_number}`),
+        render: renderSeason,
+    },
+    {
+        name: "tmdb_person",
+        title: "TMDB person",
+        uriTemplate: "tmdb://person/{id}",
+        description: "A person with biography, birth/death info and best-known credits. Add ?format=json for the raw TMDB payload only.",
+        pattern: /^tmdb:\/\/person\/(?<id>\d+)$/,
+        load: ({id}, {tmdbFetch}) => fetchDetails(tmdbFetch, "person", id, {append: "combined_credits"}),
+        render: renderPerson,
+    },
+];
+
+// Concrete resources for resources/list: today's trending movies and TV shows
+export async function listResources({tmdbFetch}) {
+    const data = await tmdbFetch("/trending/all/day");
+    const resources = (data.results || [])
+        .filter(item => item.media_type === "movie" || item.media_type === "tv")
+        .map(item => ({
+            uri: `tmdb://${item.media_type}/${item.id}`,
+            name: `${item.title || item.name}${year(item.release_date || item.first_air_date)}`,
+            description: `Trending ${item.media_type === "movie" ? "movie" : "TV show"} today`,
+            mimeType: "text/markdown",
+        }));
+    return {resources};
+}
+
+export async function readResource(uri, context, templates = resourceTemplates) {
+    const [base, query = ""] = String(uri).split("?");
+    const format = new URLSearchParams(query).get("format");
+    if (format && !FORMATS.includes(format)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported format "${format}" for ${uri}. Expected one of: ${FORMATS.join(", ")}`);
+    }
+    for (const template of templates) {
+        const match = template.pattern.exec(base);
+        if (!match) continue;
+        const data = await template.load(match.groups, context);
+        const contents = [];
+        if (format !== "json") {
+            const markdown = template.render(data, match.groups).filter(line => line !== null).join("\n");
+            contents.push({uri, mimeType: "text/markdown", text: markdown});
+        }
+        if (format !== "markdown") {
+            contents.push({uri, mimeType: "application/json", text: JSON.stringify(data, null, 2)});
+        }
+        return {contents};
+    }
+    throw new McpError(ErrorCode.InvalidParams, `Resource not found: ${uri}. Supported templates: ${templates.map(t => t.uriTemplate).join(", ")}`);
+}
@@ -0,0 +1,159 @@
+// Shrinking tool output: dot-path field projection, compact/standard/full detail levels and a
+// server-wide response size cap that cuts cast and crew lists instead of the whole payload.
+
+// Crew jobs kept by the standard and compact detail levels
+export const KEY_CREW_JOBS = [
+    "Director", "Screenplay", "Writer", "Story", "Novel", "Characters", "Creator", "Teleplay",
+    "Producer", "Executive Producer", "Original Music Composer", "Director of Photography", "Editor",
+];
+const STANDARD_CAST_SIZE = 20;
+
+// Default server-wide cap on a tool's JSON text result (roughly 25k tokens)
+export const DEFAULT_MAX_RESPONSE_BYTES = 100_000;
+
+// Arrays of people that may be cut to fit the response size cap
+const PEOPLE_ARRAY_KEYS = ["cast", "crew", "guest_stars"];
+
+// Fields kept by detail_level "compact", per kind of payload (applied after the standard trimming)
+const COMPACT_FIELDS = {
+    movie: "id,imdb_id,external_ids,title,original_title,release_date,runtime,status,genres.name,original_language,vote_average,vote_count,tagline,overview,"
+        + "belongs_to_collection.id,belongs_to_collection.name,credits.cast[0:5].id,credits.cast[0:5].name,credits.cast[0:5].character,credits.crew.name,credits.crew.job",
+    tv: "id,external_ids,name,original_name,first_air_date,last_air_date,status,number_of_seasons,number_of_episodes,episode_run_time,genres.name,networks.name,created_by.name,"
+        + "original_language,vote_average,vote_count,overview,next_episode_to_air.season_number,next_episode_to_air.episode_number,next_episode_to_air.air_date,"
+        + "credits.cast[0:5].id,credits.cast[0:5].name,credits.cast[0:5].character",
+    person: "id,external_ids,name,known_for_department,birthday,deathday,place_of_birth,biography,"
+        + "combined_credits.cast[0:10].id,combined_credits.cast[0:10].media_type,combined_credits.cast[0:10].title,combined_credits.cast[0:10].name,combined_credits.cast[0:10].character,"
+        + "combined_credits.crew[0:10].id,combined_credits.crew[0:10].media_type,combined_credits.crew[0:10].title,combined_credits.crew[0:10].name,combined_credits.crew[0:10].job",
+    credits: "id,cast[0:10].id,cast[0:10].name,cast[0:10].character,crew.id,crew.name,crew.job",
+};
+
+// Schema properties shared by the detail tools; fieldsExample is a fields value that works on the tool's own payload
+export function detailProperties(fieldsExample) {
+    return {
+        fields: {
+            type: "string",
+            description: `Comma-separated dot paths to keep, with optional [start:end] slices (e.g., ${fieldsExample}). Overrides detail_level`,
+        },
+        detail_level: {
+            type: "string",
+            enum: ["compact", "standard", "full"],
+            description: "compact: key facts and top billing; standard: top 20 cast and key crew; full: the whole TMDB payload (default)",
+        },
+    };
+}
+
+// "credits.cast[0:10].name,title" -> tree of {slice, leaf, children} nodes
+function parseFields(fields) {
+    const root = {children: {}};
+    for (const path of String(fields).split(",").map(p => p.trim()).filter(Boolean)) {
+        let node = root;
+        for (const segment of path.split(".")) {
+            const match = /^([^[\]]+)(?:\[(\d*)(?::(\d*))?])?$/.exec(segment);
+            if (!match) throw new Error(`Invalid field path "${path}". Use dot paths like credits.cast[0:10].name`);
+            const [, key, from, to] = match;
+            node = node.children[key] ??= {children: {}};
+            if (from !== undefined || to !== undefined) {
+                const start = Number(from || 0);
+                node.slice = [start, to === undefined ? start + 1 : (to === "" ? undefined : Number(to))];
+            }
+        }
+        node.leaf = true;
+    }
+    return root;
+}
+
+// Arrays are walked transparently, so "genres.name" returns the name of every genre
+function project(value, node) {
+    if (Array.isArray(value)) return value.map(item => project(item, node));
+    if (!value || typeof value !== "object") return value;
+    const out = {};
+    for (const [key, child] of Object.entries(node.children)) {
+        if (!(key in value)) continue;
+        let picked = value[key];
+        if (child.slice && Array.isArray(picked)) picked = picked.slice(...child.slice);
+        out[key] = child.leaf ? picked : project(picked, child);
+    }
+    return out;
+}
+
+export function projectFields(data, fields) {
+    return project(data, parseFields(fields));
+}
+
+// Billing order when TMDB provides it (title credits), otherwise popularity (a person's credits)
+function topCredits(list) {
+    const ranked = list.every(c => typeof c.order === "number")
+        ? [...list].sort((a, b) => a.order - b.order)
+        : [...list].sort((a, b) => (b.popularity ?? 0) - (a.popularity ?? 0));
+    return ranked.slice(0, STANDARD_CAST_SIZE);
+}
+
+// Top-billed cast and key crew only, wherever cast/crew lists appear in the payload
+function trimCredits(value) {
+    if (Array.isArray(value)) return value.map(trimCredits);
+    if (!value || typeof value !== "object") return value;
+    const out = {};
+    for (const [key, child] of Object.entries(value)) {
+        if (Array.isArray(child) && (key === "cast" || key === "guest_stars")) out[key] = topCredits(child);
+        else if (Array.isArray(child) && key === "crew") out[key] = topCredits(child.filter(c => KEY_CREW_JOBS.includes(c.job)));
+        else out[key] = trimCredits(child);
+    }
+    return out;
+}
+
+// Apply fields (wins when given) or detail_level to a detail payload; kind is movie|tv|person|credits
+export function shapeDetails(data, kind, {fields, detail_level = "full"} = {}) {
+    if (fields) return projectFields(data, fields);
+    if (detail_level === "full") return data;
+    const standard = trimCredits(data);
+    return detail_level === "compact" ? projectFields(standard, COMPACT_FIELDS[kind]) : standard;
+}
+
+// Every cast/crew/guest_stars array in the payload with its dot path
+function findPeopleArrays(value, path = "", found = []) {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => findPeopleArrays(item, `${path}[${i}]`, found));
+    } else if (value && typeof value === "object") {
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = path ? `${path}.${key}` : key;
+            if (Array.isArray(child) && PEOPLE_ARRAY_KEYS.includes(key)) found.push({holder: value, key, path: childPath});
+            else findPeopleArrays(child, childPath, found);
+        }
+    }
+    return found;
+}
+
+const byteSize = (value, space) => Buffer.byteLength(JSON.stringify(value, null, space));
+
+// Cut the largest cast/crew arrays (keeping the top of each list) until the payload fits in maxBytes.
+// Mutates and returns the payload, adding `truncated` with the number of entries dropped per path.
+export function limitResponseSize(data, maxBytes, {space} = {}) {
+    if (!maxBytes || !data || typeof data !== "object" || Array.isArray(data)) return data;
+    let size = byteSize(data, space);
+    if (size <= maxBytes) return data;
+    const arrays = findPeopleArrays(data);
+    const dropped = {};
+    // Added up front so the note itself counts towards the limit; removed again if nothing could be cut
+    data.truncated = {
+        max_response_bytes: maxBytes,
+        dropped,
+        note: "Cast/crew lists were shortened to fit the response size limit; use fields or detail_level to ask for less, or the credits tools for the full lists",
+    };
+    size = byteSize(data, space);
+    while (size > maxBytes) {
+        const target = arrays
+            .filter(a => a.holder[a.key].length)
+            .map(a => ({...a, bytes: byteSize(a.holder[a.key], space)}))
+            .sort((a, b) => b.bytes - a.bytes)[0];
+        if (!target) break;
+        const list = target.holder[target.key];
+        const perEntry = target.bytes / list.length;
+        // At most half a list per step, so the cuts are spread over cast and crew instead of emptying one
+        const cut = Math.min(Math.ceil(list.length / 2), Math.ceil((size - maxBytes) / perEntry));
+        target.holder[target.key] = list.slice(0, list.length - cut);
+        dropped[target.path] = (dropped[target.path] || 0) + cut;
+        size = byteSize(data, space);
+    }
+    if (!Object.keys(dropped).length) delete data.truncated;
+    return data;
+}
@@ -0,0 +1,146 @@
+// MCP TMDB Server (JavaScript)
+// Importable server factory: createServer() builds an MCP server exposing the TMDB tools registry.
+// Nothing runs at import time; the stdio/HTTP entrypoint lives in mcp-tmdb-server.js.
+
+import {Server} from "@modelcontextprotocol/sdk/server/index.js";
+import {
+    CallToolRequestSchema,
+    GetPromptRequestSchema,
+    ListPromptsRequestSchema,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    ReadResourceRequestSchema,
+} from "@modelcontextprotocol/sdk/types.js";
+import {createTmdbClient} from "./tmdb-client.js";
+import {tools as defaultTools} from "./tools.js";
+import {listResources, readResource, resourceTemplates} from "./resources.js";
+import {getPrompt, prompts} from "./prompts.js";
+import {validateArguments} from "./validation.js";
+import {DEFAULT_MAX_RESPONSE_BYTES, limitResponseSize} from "./response-shaping.js";
+import {DEFAULT_IMAGE_SIZES, withImageUrls} from "./images.js";
+
+export {tools, mapSearchResult} from "./tools.js";
+export {resourceTemplates} from "./resources.js";
+export {prompts} from "./prompts.js";
+export {createTmdbClient, TmdbRequestError} from "./tmdb-client.js";
+export {validateArguments} from "./validation.js";
+export {startHttpServer} from "./http.js";
+
+// Create an MCP server wired to a tools registry. Options:
+// - client: an existing createTmdbClient() instance, shared e.g. by all HTTP sessions
+// - fetchImpl, token, baseUrl (and any other createTmdbClient option): used to build a client when none is given
+// - logger: optional {info, error} receiving the same messages sent to the MCP client as log notifications
+// - tools: tools registry (defaults to the built-in TMDB tools)
+// - maxResponseBytes: cap on each tool's structured result; cast/crew lists are cut to fit (0 disables)
+// - imageSizes: sizes for the *_url fields added next to image paths, e.g. {poster: "w342"} (false disables them)
+export function createServer({
+                                 client,
+                                 logger = {},
+                                 tools = defaultTools,
+                                 maxResponseBytes = DEFAULT_MAX_RESPONSE_BYTES,
+                                 imageSizes = {},
+                                 ...clientOptions
+                             } = {}) {
+    const tmdb = client || createTmdbClient(clientOptions);
+    const urlSizes = imageSizes === false ? false : {...DEFAULT_IMAGE_SIZES, ...imageSizes};
+    const context = {tmdbFetch: tmdb.fetch, cache: tmdb.cache, client: tmdb};
+
+    const server = new Server({
+        name: "mcp-tmdb-js",
+        version: "1.0.0",
+    }, {
+        capabilities: {
+            tools: {},
+            resources: {},
+            prompts: {},
+        },
+    });
+
+    // Helper: send logs to the LLM provider (best-effort, non-bloccante)
+    async function sendLog(level, data) {
+        const message = typeof data === "string" ? data : JSON.stringify(data);
+        logger[level]?.(message);
+        try {
+            await server.sendLoggingMessage({level, data: message});
+        } catch {
+            // Silently ignore if transport not ready or logging not supported
+        }
+    }
+
+    // Register handlers for MCP tool methods
+    server.setRequestHandler(ListToolsRequestSchema, async (_req) => ({
+        tools: tools.map(({name, description, inputSchema, outputSchema}) => ({name, description, inputSchema, outputSchema})),
+    }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (req) => {
+        const {name, arguments: args} = req.params || {};
+        const tool = tools.find(t => t.name === name);
+        if (!tool) {
+            await sendLog("error", `Unknown tool called: ${name || "<missing>"} with args: ${JSON.stringify(args || {})}`);
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        const {value, errors} = validateArguments(tool.inputSchema, args || {});
+        if (errors.length) {
+            await sendLog("error", `Invalid arguments for ${name}: ${errors.join("; ")}`);
+            return {
+                isError: true,
+                content: [{type: "text", text: `Invalid arguments for tool ${name}:\n${errors.map(e => `- ${e}`).join("\n")}`}],
+            };
+        }
+        await sendLog("info", `Calling tool: ${name} with args: ${JSON.stringify(args || {})}`);
+        try {
+            const start = Date.now();
+            const res = await tool.handler(value, context);
+            if (res.structuredContent) {
+                await withImageUrls(res.structuredContent, tmdb.fetch, urlSizes);
+                limitResponseSize(res.structuredContent, maxResponseBytes, {space: 2});
+                // The same data as JSON text, for clients that only read content
+                res.content = [...res.content, {type: "text", text: JSON.stringify(res.structuredContent, null, 2)}];
+            }
+            const ms = Date.now() - start;
+            await sendLog("info", `Tool success: ${name} in ${ms}ms`);
+            return res;
+        } catch (err) {
+            await sendLog("error", `Tool error: ${name} -> ${err && err.message ? err.message : String(err)}`);
+            throw err;
+        }
+    });
+
+    // Register handlers for MCP resource methods (tmdb://movie/{id}, tmdb://tv/{id}, ...)
+    server.setRequestHandler(ListResourcesRequestSchema, async (_req) => listResources(context));
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async (_req) => ({
+        resourceTemplates: resourceTemplates.map(({name, title, uriTemplate, description}) => ({
+            name,
+            title,
+            uriTemplate,
+            description,
+            mimeType: "text/markdown",
+        })),
+    }));
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (req) => {
+        const {uri} = req.params;
+        try {
+            const res = await readResource(uri, context);
+            await sendLog("info", `Resource read: ${uri}`);
+            return res;
+        } catch (err) {
+            await sendLog("error", `Resource error: ${uri} -> ${err && err.message ? err.message : String(err)}`);
+            throw err;
+        }
+    });
+
+    // Register handlers for MCP prompt methods
+    server.setRequestHandler(ListPromptsRequestSchema, async (_req) => ({
+        prompts: prompts.map(({name, title, description, arguments: args}) => ({name, title, description, arguments: args})),
+    }));
+
+    server.setRequestHandler(GetPromptRequestSchema, async (req) => {
+        const {name, arguments: args} = req.params;
+        return getPrompt(name, args);
+    });
+
+    return server;
+}
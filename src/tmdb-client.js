@@ -0,0 +1,403 @@
+// TMDB HTTP client: pluggable upstream backend, response cache, shared request budget and retries.
+// Everything here is created per client by createTmdbClient(); nothing runs at import time.
+
+import fs from "node:fs";
+
+export const TMDB_PROXY_BASE = "https://production-api.tnl.one/service/tmdb/3";
+export const TMDB_OFFICIAL_BASE = "https://api.themoviedb.org/3";
+
+// Upstream backends, selected by the `backend` option (TMDB_BACKEND in the CLI):
+// - "proxy" (default): TNL proxy or any custom proxy, token sent as-is in `authHeader` (default Authorization)
+// - "tmdb-v3": official TMDB API, `apiKey` sent as the api_key query parameter
+// - "tmdb-v4": official TMDB API, `token` (v4 read access token) sent as a Bearer token
+// `baseUrl` overrides the base URL of the selected backend (e.g. a self-hosted proxy or a local stand-in).
+const BACKENDS = {
+    "proxy": ({baseUrl, token, authHeader, authScheme}) => {
+        if (!token) {
+            throw new Error("TMDB_AUTH_TOKEN environment variable is not set. Please set it to your TNL proxy bearer token.");
+        }
+        const value = authScheme ? `${authScheme} ${token}` : token;
+        return {
+            name: "proxy",
+            baseUrl: baseUrl || TMDB_PROXY_BASE,
+            authorize: (url, headers) => {
+                headers[authHeader || "Authorization"] = value;
+            },
+        };
+    },
+    "tmdb-v3": ({baseUrl, apiKey}) => {
+        if (!apiKey) {
+            throw new Error("TMDB_API_KEY environment variable is not set. It is required when TMDB_BACKEND=tmdb-v3.");
+        }
+        return {
+            name: "tmdb-v3",
+            baseUrl: baseUrl || TMDB_OFFICIAL_BASE,
+            authorize: (url) => {
+                url.searchParams.set("api_key", apiKey);
+            },
+        };
+    },
+    "tmdb-v4": ({baseUrl, token}) => {
+        if (!token) {
+            throw new Error("TMDB_AUTH_TOKEN environment variable is not set. It must hold a TMDB v4 read access token when TMDB_BACKEND=tmdb-v4.");
+        }
+        return {
+            name: "tmdb-v4",
+            baseUrl: baseUrl || TMDB_OFFICIAL_BASE,
+            authorize: (url, headers) => {
+                headers.Authorization = `Bearer ${token}`;
+            },
+        };
+    },
+};
+
+export function createBackend({backend = "proxy", ...options} = {}) {
+    const factory = BACKENDS[backend];
+    if (!factory) {
+        throw new Error(`Unknown TMDB_BACKEND "${backend}". Expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+    }
+    return factory(options);
+}
+
+// Response cache: per-endpoint-family TTLs, LRU eviction, optional on-disk store and coalescing of
+// identical concurrent requests.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// First matching rule wins; paths not matched by any rule use the "default" family.
+export const CACHE_TTL_RULES = [
+    {family: "trending", pattern: /^\/trending\//, ttl: 10 * MINUTE},
+    {family: "airing", pattern: /^\/tv\/(airing_today|on_the_air)$/, ttl: 10 * MINUTE},
+    {family: "search", pattern: /^\/search\//, ttl: 30 * MINUTE},
+    {family: "discover", pattern: /^\/discover\//, ttl: 30 * MINUTE},
+    {family: "lists", pattern: /^\/(movie|tv)\/(popular|top_rated)$/, ttl: 2 * HOUR},
+    {family: "changes", pattern: /\/changes$/, ttl: 10 * MINUTE},
+    {family: "credits", pattern: /\/credits$/, ttl: DAY},
+    {family: "watch_providers", pattern: /^\/watch\/providers\//, ttl: DAY},
+    {family: "genre", pattern: /^\/genre\//, ttl: 7 * DAY},
+    {family: "certification", pattern: /^\/certification\//, ttl: 7 * DAY},
+    {family: "configuration", pattern: /^\/configuration/, ttl: 7 * DAY},
+];
+const DEFAULT_CACHE_TTL = 6 * HOUR;
+
+function cacheFamilyFor(path, rules = CACHE_TTL_RULES) {
+    const rule = rules.find(r => r.pattern.test(path));
+    return rule ? {family: rule.family, ttl: rule.ttl} : {family: "default", ttl: DEFAULT_CACHE_TTL};
+}
+
+export function createResponseCache({file, maxEntries = 1000, rules = CACHE_TTL_RULES, now = Date.now} = {}) {
+    const entries = new Map();
+    const inflight = new Map();
+    const counters = {hits: 0, misses: 0, coalesced: 0, families: {}};
+    let persistTimer = null;
+
+    if (file) {
+        try {
+            const stored = JSON.parse(fs.readFileSync(file, "utf8"));
+            for (const [key, entry] of stored.entries || []) {
+                if (entry.expires > now()) entries.set(key, entry);
+            }
+        } catch {
+            // Missing or unreadable cache file: start empty
+        }
+    }
+
+    function familyCounters(family) {
+        return counters.families[family] || (counters.families[family] = {hits: 0, misses: 0});
+    }
+
+    function persist() {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        const live = [...entries].filter(([, entry]) => entry.expires > now());
+        try {
+            fs.writeFileSync(file, JSON.stringify({version: 1, entries: live}));
+        } catch {
+            // Best-effort: the in-memory cache keeps working even if the disk store cannot be written
+        }
+    }
+
+    function schedulePersist() {
+        if (!file || persistTimer) return;
+        persistTimer = setTimeout(persist, 1000);
+        persistTimer.unref?.();
+    }
+
+    if (file) {
+        process.once("exit", () => {
+            if (persistTimer) persist();
+        });
+    }
+
+    return {
+        // Returns a cached value for key, or runs loader once for all concurrent callers of the same key
+        async fetch(key, path, loader) {
+            const {family, ttl} = cacheFamilyFor(path, rules);
+            const entry = entries.get(key);
+            if (entry && entry.expires > now()) {
+                counters.hits++;
+                familyCounters(family).hits++;
+                entries.delete(key);
+                entries.set(key, entry);
+                return structuredClone(entry.value);
+            }
+            if (entry) entries.delete(key);
+            if (inflight.has(key)) {
+                counters.coalesced++;
+                return structuredClone(await inflight.get(key));
+            }
+            counters.misses++;
+            familyCounters(family).misses++;
+            const pending = loader().then((value) => {
+                entries.set(key, {value, expires: now() + ttl, family});
+                while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+                schedulePersist();
+                return value;
+            }).finally(() => inflight.delete(key));
+            inflight.set(key, pending);
+            return structuredClone(await pending);
+        },
+        // Removes entries under the path prefix (all entries when prefix is empty); returns the count.
+        // The prefix matches whole path segments: /movie/550 covers /movie/550/credits but not /movie/5501.
+        clear(prefix = "") {
+            const boundary = !prefix || prefix.endsWith("/") || prefix.endsWith("?");
+            let removed = 0;
+            for (const key of [...entries.keys()]) {
+                if (key.startsWith(prefix) && (boundary || "/?".includes(key[prefix.length]))) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+            if (removed) schedulePersist();
+            return removed;
+        },
+        stats() {
+            const lookups = counters.hits + counters.misses;
+            const families = {};
+            for (const [family, {hits, misses}] of Object.entries(counters.families)) {
+                families[family] = {hits, misses, hit_rate: hits + misses ? hits / (hits + misses) : 0};
+            }
+            return {
+                entries: entries.size,
+                max_entries: maxEntries,
+                persistent: Boolean(file),
+                hits: counters.hits,
+                misses: counters.misses,
+                coalesced: counters.coalesced,
+                hit_rate: lookups ? counters.hits / lookups : 0,
+                families,
+            };
+        },
+    };
+}
+
+// Client-side request budget shared by every tool: at most requestsPerSecond requests started per second
+// and maxConcurrency requests in flight. A 429 with Retry-After pauses the whole queue.
+export function createRateLimiter({requestsPerSecond = 20, maxConcurrency = 8} = {}) {
+    const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    const queue = [];
+    let active = 0;
+    let nextStart = 0;
+    let timer = null;
+
+    function pump() {
+        if (timer) return;
+        while (queue.length && active < maxConcurrency) {
+            const wait = nextStart - Date.now();
+            if (wait > 0) {
+                timer = setTimeout(() => {
+                    timer = null;
+                    pump();
+                }, wait);
+                return;
+            }
+            nextStart = Date.now() + interval;
+            const {task, resolve, reject} = queue.shift();
+            active++;
+            Promise.resolve().then(task).then(resolve, reject).finally(() => {
+                active--;
+                pump();
+            });
+        }
+    }
+
+    return {
+        schedule(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({task, resolve, reject});
+                pump();
+            });
+        },
+        pauseUntil(timestamp) {
+            nextStart = Math.max(nextStart, timestamp);
+        },
+        stats() {
+            return {active, queued: queue.length, requests_per_second: requestsPerSecond, max_concurrency: maxConcurrency};
+        },
+    };
+}
+
+export const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 10000,
+    // A Retry-After longer than this is not waited for: the error is returned with the delay instead
+    maxRetryAfterMs: 30000,
+    timeoutMs: 10000,
+};
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Error raised by tmdbFetch once retries are exhausted or the failure is permanent.
+// retryable tells callers (and the agent, via the message) whether trying again later can help.
+export class TmdbRequestError extends Error {
+    constructor(message, {status, retryable = false, retryAfterMs} = {}) {
+        const hint = retryable
+            ? `retryable${retryAfterMs ? `, try again in ${Math.ceil(retryAfterMs / 1000)}s` : ", try again later"}`
+            : "not retryable, fix the request instead";
+        super(`${message} (${hint})`);
+        this.name = "TmdbRequestError";
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, {baseDelayMs, maxDelayMs}) {
+    // Full jitter: uniform between 0 and the exponential ceiling
+    return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Create a TMDB client. Options:
+// - backend, baseUrl, token, apiKey, authHeader, authScheme: upstream selection and credentials (see BACKENDS)
+// - fetchImpl: fetch implementation (defaults to the global fetch)
+// - cache: {file, maxEntries} for the response cache, or false to disable it
+// - rateLimit: {requestsPerSecond, maxConcurrency}
+// - retry: overrides for DEFAULT_RETRY_POLICY
+// Returns {fetch, fetchImage, backend, cache, rateLimiter}; fetch(path, params) is the tmdbFetch used by every tool.
+export function createTmdbClient({
+                                     backend: backendName,
+                                     baseUrl,
+                                     token,
+                                     apiKey,
+                                     authHeader,
+                                     authScheme,
+                                     fetchImpl = globalThis.fetch,
+                                     cache = {},
+                                     rateLimit = {},
+                                     retry = {},
+                                 } = {}) {
+    const backend = createBackend({backend: backendName, baseUrl, token, apiKey, authHeader, authScheme});
+    const responseCache = cache === false ? null : createResponseCache(cache);
+    const rateLimiter = createRateLimiter(rateLimit);
+    const policy = {...DEFAULT_RETRY_POLICY, ...retry};
+
+    async function tmdbFetch(path, params = {}) {
+        const url = new URL(backend.baseUrl.replace(/\/+$/, "") + path);
+        Object.entries(params).forEach(([k, v]) => {
+            if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+        });
+        url.searchParams.sort();
+
+        // Key is built before authorization so credentials never end up in the cache (or on disk)
+        const key = `${path}?${url.searchParams}`;
+        if (!responseCache) return tmdbRequest(url);
+        return responseCache.fetch(key, path, () => tmdbRequest(url));
+    }
+
+    // Single GET with timeout, retried with jittered exponential backoff on network errors, timeouts, 429 and 5xx
+    async function tmdbRequest(url) {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                return await rateLimiter.schedule(() => tmdbAttempt(url));
+            } catch (err) {
+                error = err instanceof TmdbRequestError ? err : new TmdbRequestError(`TMDB request failed: ${err && err.message ? err.message : String(err)}`);
+            }
+            if (!error.retryable || attempt >= policy.maxRetries) throw error;
+            if (error.retryAfterMs !== undefined && error.retryAfterMs > policy.maxRetryAfterMs) throw error;
+            const delay = error.retryAfterMs !== undefined ? error.retryAfterMs : backoffDelay(attempt, policy);
+            if (error.status === 429) rateLimiter.pauseUntil(Date.now() + delay);
+            await sleep(delay);
+        }
+    }
+
+    async function tmdbAttempt(url) {
+        const headers = {Accept: "application/json"};
+        const target = new URL(url);
+        backend.authorize(target, headers);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+        try {
+            const res = await fetchImpl(target, {headers, signal: controller.signal}).catch(err => {
+                // Network failures (refused or reset connections, DNS) are transient; aborts are reported as timeouts below
+                if (err && err.name === "AbortError") throw err;
+                throw new TmdbRequestError(`TMDB request failed: ${err && err.message ? err.message : String(err)}`, {retryable: true});
+            });
+            if (!res.ok) {
+                const text = await res.text().catch(() => "");
+                throw new TmdbRequestError(`TMDB request failed ${res.status}: ${text}`, {
+                    status: res.status,
+                    retryable: RETRYABLE_STATUSES.has(res.status),
+                    retryAfterMs: parseRetryAfter(res.headers?.get("retry-after")),
+                });
+            }
+            // A body that does not parse will not parse on the next attempt either
+            return await res.json().catch(err => {
+                if (err && err.name === "AbortError") throw err;
+                throw new TmdbRequestError(`TMDB returned a malformed response body: ${err && err.message ? err.message : String(err)}`, {status: res.status});
+            });
+        } catch (err) {
+            if (err && err.name === "AbortError") {
+                throw new TmdbRequestError(`TMDB request timed out after ${policy.timeoutMs}ms`, {retryable: true});
+            }
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Download an image from the TMDB image CDN (public, no credentials). Images larger than maxBytes
+    // are not returned: the result has data null and the size, so the caller can pick a smaller rendition.
+    async function fetchImage(url, {maxBytes = Infinity} = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), policy.timeoutMs);
+        try {
+            const res = await fetchImpl(new URL(url), {signal: controller.signal});
+            if (!res.ok) {
+                throw new TmdbRequestError(`Image request failed ${res.status}: ${url}`, {
+                    status: res.status,
+                    retryable: RETRYABLE_STATUSES.has(res.status),
+                });
+            }
+            const mimeType = (res.headers?.get("content-type") || "image/jpeg").split(";")[0];
+            const declared = Number(res.headers?.get("content-length"));
+            if (declared > maxBytes) {
+                controller.abort();
+                return {data: null, bytes: declared, mimeType};
+            }
+            const data = Buffer.from(await res.arrayBuffer());
+            return {data: data.length > maxBytes ? null : data, bytes: data.length, mimeType};
+        } catch (err) {
+            if (err && err.name === "AbortError") {
+                throw new TmdbRequestError(`Image request timed out after ${policy.timeoutMs}ms`, {retryable: true});
+            }
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {fetch: tmdbFetch, fetchImage, backend, cache: responseCache, rateLimiter};
+}
@@ -0,0 +1,1951 @@
+// TMDB tools registry exposed over MCP tools/list and tools/call.
+
+import {resolveName, resolveNamedFilters} from "./name-resolution.js";
+import {MAX_PAGES_PER_CALL, PAGINATION_PROPERTIES, fetchPages, splitPagination} from "./pagination.js";
+import {detailProperties, shapeDetails} from "./response-shaping.js";
+import {IMAGE_KINDS, availableSizes, loadImageConfiguration, pickSize} from "./images.js";
+import {EXTERNAL_SOURCES, findByExternalId, resolveTmdbId} from "./external-ids.js";
+import {filterFilmography, mergeCredits, sharedTitles, sortFilmography} from "./filmography.js";
+import {CHANGE_TYPES, DATE_RANGE_PROPERTIES, fetchChangedIds, fetchEntityChanges, syncSince} from "./changes.js";
+import {DEFAULT_MAX_DEPTH, DEFAULT_MAX_REQUESTS, MAX_DEPTH, MAX_REQUESTS, findConnectionPath} from "./connection-path.js";
+import {CERTIFICATION_FILTER_PROPERTIES, RELEASE_TYPES, loadCertifications, movieCertification, withCertificationFilter} from "./certifications.js";
+import {
+    BlendedRecommendations,
+    CacheClearResult,
+    CacheStats,
+    ChangedIds,
+    CertificationList,
+    Collection,
+    ConnectionPath,
+    ContentRatings,
+    Credits,
+    DiscoverPage,
+    EntityChanges,
+    EpisodeCredits,
+    EpisodeDetails,
+    ExternalIdMatches,
+    FranchiseOrder,
+    ImageInfo,
+    Organization,
+    PersonFilmography,
+    ReleaseDates,
+    ReviewPage,
+    SearchResultPage,
+    Season,
+    SharedCredits,
+    SyncResult,
+    TmdbObject,
+    TmdbPage,
+    VideoList,
+    WatchAvailability,
+    pageOf,
+} from "./output-types.js";
+
+// Normalize TMDB results to a compact list for AI consumption
+export function mapSearchResult(item) {
+    const media_type = item.media_type || (item.title ? "movie" : item.name ? "tv" : "unknown");
+    const title = item.title || item.name || "";
+    const date = item.release_date || item.first_air_date || "";
+    return {
+        id: item.id,
+        media_type,
+        title,
+        date,
+        original_language: item.original_language,
+        popularity: item.popularity,
+        vote_average: item.vote_average,
+        overview: item.overview,
+    };
+}
+
+// Normalize a TV episode (from a season's episode list, an episode payload or next/last_episode_to_air)
+export function mapEpisode(episode) {
+    return {
+        id: episode.id,
+        season_number: episode.season_number,
+        episode_number: episode.episode_number,
+        name: episode.name,
+        air_date: episode.air_date || "",
+        runtime: episode.runtime,
+        vote_average: episode.vote_average,
+        vote_count: episode.vote_count,
+        overview: episode.overview,
+    };
+}
+
+// Normalize a cast, crew or guest star credit
+export function mapCredit(credit) {
+    return {
+        id: credit.id,
+        name: credit.name,
+        character: credit.character,
+        job: credit.job,
+        department: credit.department,
+        order: credit.order,
+    };
+}
+
+// Normalize a /find match; seasons and episodes also carry the show and their numbers
+export function mapFindResult(entry) {
+    const mapped = {...mapSearchResult(entry), date: entry.release_date || entry.first_air_date || entry.air_date || ""};
+    if (entry.show_id === undefined) return mapped;
+    return {
+        ...mapped,
+        show_id: entry.show_id,
+        season_number: entry.season_number,
+        ...(entry.episode_number !== undefined ? {episode_number: entry.episode_number} : {}),
+    };
+}
+
+const KEY_EPISODE_JOBS = ["Director", "Writer", "Teleplay", "Story"];
+
+// Sort by release date ascending; titles without a date (announced, undated) go last
+const byReleaseDate = (a, b) => (a.release_date || "9999").localeCompare(b.release_date || "9999");
+
+// A movie counts as released once TMDB says so or its release date has passed
+function isReleased(movie, today = new Date().toISOString().slice(0, 10)) {
+    if (movie.status) return movie.status === "Released";
+    return Boolean(movie.release_date) && movie.release_date <= today;
+}
+
+// Fetch a production company or TV network with its alternative names and logos (three concurrent calls)
+async function fetchOrganization(tmdbFetch, kind, id) {
+    const [details, names, images] = await Promise.all([
+        tmdbFetch(`/${kind}/${id}`),
+        tmdbFetch(`/${kind}/${id}/alternative_names`),
+        tmdbFetch(`/${kind}/${id}/images`),
+    ]);
+    return {
+        id: details.id,
+        name: details.name,
+        description: details.description || undefined,
+        headquarters: details.headquarters,
+        homepage: details.homepage,
+        origin_country: details.origin_country,
+        logo_path: details.logo_path,
+        parent_company: details.parent_company
+            ? {id: details.parent_company.id, name: details.parent_company.name, logo_path: details.parent_company.logo_path}
+            : null,
+        alternative_names: (names.results || []).map(n => n.name),
+        logos: (images.logos || []).map(({file_path, file_type, aspect_ratio, width, height}) => ({file_path, file_type, aspect_ratio, width, height})),
+    };
+}
+
+// Default byte cap for get_image; base64 adds a third on top of this in the MCP response
+const DEFAULT_IMAGE_MAX_BYTES = 500000;
+
+const MONETIZATION_TYPES = ["flatrate", "free", "ads", "rent", "buy"];
+
+// TMDB video types, in the order they are ranked when no video_types are given
+const VIDEO_TYPES = ["Trailer", "Teaser", "Clip", "Featurette", "Behind the Scenes", "Bloopers", "Opening Credits"];
+
+// Watch URLs for the sites TMDB video keys refer to
+const VIDEO_URLS = {
+    YouTube: key => `https://www.youtube.com/watch?v=${key}`,
+    Vimeo: key => `https://vimeo.com/${key}`,
+};
+
+// Normalize a TMDB video entry, adding the watch URL
+export function mapVideo(video) {
+    const watchUrl = VIDEO_URLS[video.site];
+    return {
+        id: video.id,
+        name: video.name,
+        type: video.type,
+        site: video.site,
+        key: video.key,
+        url: watchUrl ? watchUrl(video.key) : null,
+        official: Boolean(video.official),
+        language: video.iso_639_1 ?? null,
+        region: video.iso_3166_1 ?? null,
+        size: video.size ?? null,
+        published_at: video.published_at ?? null,
+    };
+}
+
+// Most append_to_response entries TMDB accepts in one request
+const MAX_APPENDS = 20;
+
+// Sources blend_recommendations can draw candidates from
+const BLEND_SOURCES = {recommendations: ["recommendations"], similar: ["similar"], both: ["recommendations", "similar"]};
+
+// Fetch the recommendations or similar titles of a movie or TV show, normalized like search results
+async function fetchRelatedTitles(tmdbFetch, kind, {type, id, page, language, limit, max_pages, cursor}) {
+    const data = await fetchPages(tmdbFetch, `/${type}/${id}/${kind}`, {page, language}, {limit, max_pages, cursor});
+    // /similar entries carry no media_type
+    return pageWith(data, (data.results || []).map(item => mapSearchResult({...item, media_type: type})));
+}
+
+// Does a provider offer match one of the user's services (given as provider IDs or names)?
+function matchesProvider(offer, services) {
+    const name = offer.provider_name.toLowerCase();
+    return services.some(service => (/^\d+$/.test(service)
+        ? Number(service) === offer.provider_id
+        : name.includes(service.toLowerCase())));
+}
+
+// Fetch a movie, TV show or person by id; shared by get_tmdb_details and the tmdb:// resources
+export function fetchDetails(tmdbFetch, type, id, {language, append} = {}) {
+    return tmdbFetch(`/${type}/${id}`, {language, append_to_response: append});
+}
+
+// Resolve people given as TMDB IDs or names (best /search/person match) to {input, id, name, match}
+async function resolvePeople(tmdbFetch, inputs) {
+    const unresolved = [];
+    const people = await Promise.all(inputs.map(async (input) => {
+        const value = String(input).trim();
+        if (/^\d+$/.test(value)) return {input: value, id: Number(value)};
+        const hit = await resolveName(tmdbFetch, "person", value);
+        if (!hit) unresolved.push(`"${value}"`);
+        return hit && {input: value, id: hit.id, name: hit.name, match: hit.match};
+    }));
+    if (unresolved.length) throw new Error(`No TMDB person matches ${unresolved.join(", ")}. Check the spelling or pass person IDs (search_tmdb_person)`);
+    return people;
+}
+
+// Tool results: the data goes in structuredContent (checked by clients against the tool's outputSchema)
+// and a short summary in the text content; the server appends the data as JSON text for older clients.
+function toolResult(data, summary) {
+    return {content: [{type: "text", text: summary}], structuredContent: data};
+}
+
+// "Title (year)" for a movie, TV show, person or list entry
+function labelOf(item) {
+    const title = item.title || item.name || item.author || `#${item.id}`;
+    const year = (item.release_date || item.first_air_date || item.date || "").slice(0, 4);
+    return year ? `${title} (${year})` : title;
+}
+
+// A TMDB page (or a fetchPages merge) with its results replaced by the mapped ones;
+// pages_fetched and next_cursor only when several pages were requested
+function pageWith(data, results) {
+    return {
+        page: data.page,
+        total_pages: data.total_pages,
+        total_results: data.total_results,
+        ...(data.pages_fetched !== undefined ? {pages_fetched: data.pages_fetched, next_cursor: data.next_cursor} : {}),
+        results,
+    };
+}
+
+// "20 of 1234 movies (page 1 of 62): A (1999), B (2001), ... and 15 more."
+function pageSummary(noun, data) {
+    const results = data.results || [];
+    const total = data.total_results !== undefined ? ` of ${data.total_results}` : "";
+    const page = data.page ? ` (page ${data.page}${data.total_pages ? ` of ${data.total_pages}` : ""})` : "";
+    const shown = results.slice(0, 5).map(labelOf).join(", ");
+    const more = results.length > 5 ? ` and ${results.length - 5} more` : "";
+    const next = data.next_cursor ? ` More with cursor "${data.next_cursor}".` : "";
+    const filter = data.certification_filter;
+    const removed = filter ? filter.removed_above + filter.removed_unrated : 0;
+    const filtered = removed ? ` Removed ${removed} rated above ${filter.max_certification} in ${filter.country} or unrated.` : "";
+    const uncheckedTypes = filter?.unchecked?.join("/");
+    const unchecked = uncheckedTypes
+        ? ` Removed ${filter.removed_unchecked} unchecked ${uncheckedTypes} titles: ${filter.max_certification} has no ${filter.country} ${uncheckedTypes} rating; add one to keep them.`
+        : "";
+    return `${results.length}${total} ${noun}${page}${results.length ? `: ${shown}${more}` : ""}.${next}${filtered}${unchecked}`;
+}
+
+// "Fight Club (1999), 139 min, Drama, Thriller, rated 8.4/10."
+function detailsSummary(data, fallback) {
+    const parts = [data.title || data.name ? labelOf(data) : fallback];
+    if (data.runtime) parts.push(`${data.runtime} min`);
+    if (data.number_of_seasons) parts.push(`${data.number_of_seasons} seasons`);
+    if (data.known_for_department) parts.push(data.known_for_department);
+    if (data.birthday) parts.push(`born ${data.birthday}`);
+    if (Array.isArray(data.genres) && data.genres.some(g => g.name)) parts.push(data.genres.map(g => g.name).filter(Boolean).join(", "));
+    if (typeof data.vote_average === "number" && data.vote_average) parts.push(`rated ${data.vote_average.toFixed(1)}/10`);
+    return `${parts.join(", ")}.`;
+}
+
+function creditsSummary(data) {
+    const cast = data.cast || [];
+    const top = cast.slice(0, 3).map(c => (c.character ? `${c.name} as ${c.character}` : c.name)).filter(Boolean).join(", ");
+    return `${cast.length} cast and ${(data.crew || []).length} crew credits${top ? `. Top billed: ${top}` : ""}.`;
+}
+
+const episodeCode = (season, episode) => `S${String(season).padStart(2, "0")}E${String(episode).padStart(2, "0")}`;
+
+// Define tools registry (MCP v1 tools/list & tools/call).
+// Handlers receive (args, context); context.tmdbFetch(path, params) performs the TMDB request and
+// context.cache is the response cache (null when disabled). Each tool declares an outputSchema (see
+// output-types.js) and returns toolResult(data, summary).
+export const tools = [
+    // Tool: person_details
+    // Purpose: Retrieve detailed information about a person (actor, director, etc.) from TMDB.
+    // Input: person_id (required), language (optional), append (optional comma-separated fields like images,combined_credits), fields/detail_level (optional).
+    // Output: JSON object containing person details, biography, birth/death dates, etc.
+    // Use case: AI agents can fetch biographical data and related media for a specific individual.
+    {
+        name: "person_details",
+        description: "Retrieves detailed information about a person (actor, director, etc.) from TMDB. Input: person_id (required TMDB ID), language (optional ISO 639-1 code), append (optional comma-separated fields like images,combined_credits,external_ids), fields (optional dot paths such as name,biography,combined_credits.cast[0:10].title), detail_level (optional compact|standard|full, default full). Output: JSON with biography, birth/death info, and appended data. Purpose: Get comprehensive person profiles for AI-driven content analysis or recommendations.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                person_id: {type: "number", description: "TMDB Person ID"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                append: {
+                    type: "string",
+                    description: "Comma-separated append_to_response (e.g., images,combined_credits,external_ids)"
+                },
+                ...detailProperties("name,biography,combined_credits.cast[0:10].title")
+            },
+            required: ["person_id"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbObject,
+        handler: async ({person_id, language, append, fields, detail_level}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/person/${person_id}`, {language, append_to_response: append});
+            const person = shapeDetails(data, "person", {fields, detail_level});
+            return toolResult(person, detailsSummary(person, `Person ${person_id}`));
+        }
+    },
+    // Tool: person_filmography
+    // Purpose: A person's filmography with one entry per title and every role they had on it.
+    // Input: person_id (required), department/job/media_type/year_from/year_to (optional filters), sort_by/order (optional), include_self (optional), limit (optional), language (optional).
+    // Output: JSON with merged credits (characters, jobs, departments) sorted by release date or popularity.
+    // Use case: AI agents can list "every film Greta Gerwig directed" without duplicate or talk-show entries.
+    {
+        name: "person_filmography",
+        description: "Builds a person's filmography from combined_credits, merging cast and crew roles per title. Input: person_id (required TMDB ID), department (optional, e.g. Directing, Writing, Acting), job (optional, e.g. Director, Screenplay, Actor), media_type (optional movie|tv), year_from and year_to (optional inclusive release years), sort_by (optional release_date|popularity, default release_date), order (optional desc|asc, default desc), include_self (optional boolean; talk-show, news and Self/Himself appearances are left out unless true), limit (optional), language (optional ISO 639-1). Output: JSON with credits (id, media_type, title, date, year, popularity, vote_average, characters, jobs, departments, episode_count for TV), total and the number of self appearances left out. Purpose: Clean career overviews for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                person_id: {type: "number", description: "TMDB Person ID"},
+                department: {type: "string", description: "Keep titles with a role in this department (e.g., Directing, Acting)"},
+                job: {type: "string", description: "Keep titles with this job (e.g., Director, Actor)"},
+                media_type: {type: "string", enum: ["movie", "tv"], description: "Keep only movies or TV shows"},
+                year_from: {type: "number", description: "Earliest release year (inclusive)"},
+                year_to: {type: "number", description: "Latest release year (inclusive)"},
+                sort_by: {type: "string", enum: ["release_date", "popularity"], description: "Sort key (default release_date)"},
+                order: {type: "string", enum: ["desc", "asc"], description: "Sort order (default desc: newest or most popular first)"},
+                include_self: {type: "boolean", description: "Include talk-show, news and self appearances"},
+                limit: {type: "number", minimum: 1, description: "Return at most this many titles"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["person_id"],
+            additionalProperties: false
+        },
+        outputSchema: PersonFilmography,
+        handler: async ({person_id, department, job, media_type, year_from, year_to, sort_by = "release_date", order = "desc", include_self = false, limit, language}, {tmdbFetch}) => {
+            const credits = await tmdbFetch(`/person/${person_id}/combined_credits`, {language});
+            const {titles, selfAppearances} = mergeCredits(credits, {include_self});
+            const matching = sortFilmography(filterFilmography(titles, {department, job, media_type, year_from, year_to}), sort_by, order);
+            const filmography = {
+                person_id,
+                total: matching.length,
+                ...(include_self ? {} : {self_appearances_excluded: selfAppearances}),
+                credits: limit ? matching.slice(0, limit) : matching
+            };
+            const filters = [department, job, media_type, year_from || year_to ? `${year_from ?? ""}-${year_to ?? ""}` : ""].filter(Boolean).join(", ");
+            const shown = filmography.credits.slice(0, 5).map(c => `${labelOf(c)} (${c.jobs.join(", ")})`).join("; ");
+            return toolResult(filmography, `${matching.length} titles${filters ? ` [${filters}]` : ""}${shown ? `: ${shown}` : ""}${filmography.credits.length > 5 ? ` and ${filmography.credits.length - 5} more` : ""}.`);
+        }
+    },
+    // Tool: shared_credits
+    // Purpose: Find the titles two or more people all worked on.
+    // Input: people (required list of person IDs or names), credit_type (optional any|cast|crew), media_type (optional), include_self, sort_by/order, limit, language (optional).
+    // Output: JSON with the shared titles and each person's characters and jobs on them.
+    // Use case: AI agents can answer "films starring both Pacino and De Niro" or "every Scorsese and DiCaprio collaboration".
+    {
+        name: "shared_credits",
+        description: "Finds the movies and TV shows that two or more people all worked on. Input: people (required list of 2-5 TMDB person IDs or names, e.g. [\"Al Pacino\", \"Robert De Niro\"]; names resolve to the best search_tmdb_person match), credit_type (optional any|cast|crew, default any; cast or crew only counts titles where everyone had that kind of role), media_type (optional movie|tv), include_self (optional boolean; talk-show and self appearances are left out unless true), sort_by (optional release_date|popularity), order (optional desc|asc), limit (optional), language (optional ISO 639-1). Output: JSON with the resolved people and credits (id, media_type, title, date, year, popularity, vote_average, people with each person's characters and jobs). Purpose: Reliable collaboration lookups for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                people: {type: "array", items: {type: "string", minLength: 1}, description: "2-5 TMDB person IDs or names"},
+                credit_type: {type: "string", enum: ["any", "cast", "crew"], description: "Kind of role everyone must have had (default any)"},
+                media_type: {type: "string", enum: ["movie", "tv"], description: "Keep only movies or TV shows"},
+                include_self: {type: "boolean", description: "Include talk-show, news and self appearances"},
+                sort_by: {type: "string", enum: ["release_date", "popularity"], description: "Sort key (default release_date)"},
+                order: {type: "string", enum: ["desc", "asc"], description: "Sort order (default desc)"},
+                limit: {type: "number", minimum: 1, description: "Return at most this many titles"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["people"],
+            additionalProperties: false
+        },
+        outputSchema: SharedCredits,
+        handler: async ({people, credit_type = "any", media_type, include_self = false, sort_by = "release_date", order = "desc", limit, language}, {tmdbFetch}) => {
+            if (people.length < 2 || people.length > 5) throw new Error("people must list between 2 and 5 person IDs or names");
+            const resolved = await resolvePeople(tmdbFetch, people);
+            const filmographies = await Promise.all(resolved.map(async (person) => {
+                const data = await tmdbFetch(`/person/${person.id}`, {language, append_to_response: "combined_credits"});
+                const {titles} = mergeCredits(data.combined_credits, {include_self});
+                return {person: {...person, name: data.name}, titles};
+            }));
+            const shared = sortFilmography(filterFilmography(sharedTitles(filmographies, {credit_type}), {media_type}), sort_by, order);
+            const result = {
+                people: filmographies.map(({person}) => person),
+                credit_type,
+                total: shared.length,
+                credits: limit ? shared.slice(0, limit) : shared
+            };
+            const names = result.people.map(p => p.name);
+            const together = `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`;
+            const shown = result.credits.slice(0, 5).map(c => `${labelOf(c)} (${c.people.map(p => p.characters.join("/") || p.jobs.join("/")).join(" / ")})`).join("; ");
+            return toolResult(result, shared.length
+                ? `${together} share ${shared.length} titles: ${shown}${result.credits.length > 5 ? ` and ${result.credits.length - 5} more` : ""}.`
+                : `${together} have no ${credit_type === "any" ? "" : `${credit_type} `}credits in common.`);
+        }
+    },
+    // Tool: connection_path
+    // Purpose: Find the shortest chain of shared titles linking two people (six degrees style).
+    // Input: from and to (required person IDs or names), max_depth, max_requests, include_tv, cast_only (optional).
+    // Output: JSON with the chain of titles and the role each person played in each.
+    // Use case: AI agents can answer "how is Kevin Bacon connected to Marilyn Monroe".
+    {
+        name: "connection_path",
+        description: `Finds the shortest chain of shared movies or TV shows linking two people, searching outward from both at once. Input: from and to (required TMDB person IDs or names), max_depth (optional number of titles in the chain, default ${DEFAULT_MAX_DEPTH}, at most ${MAX_DEPTH}), max_requests (optional TMDB request budget, default ${DEFAULT_MAX_REQUESTS}, at most ${MAX_REQUESTS}), include_tv (optional boolean, default true), cast_only (optional boolean; ignore crew links). Output: JSON with found, degrees and path (per title: title, and from/to people with the role each played), or the reason the search stopped (max_depth, max_requests, no_more_links); partial_search is true when the budget cut a search level short. Purpose: Degrees-of-separation questions for AI agents.`,
+        inputSchema: {
+            type: "object",
+            properties: {
+                from: {type: "string", minLength: 1, description: "TMDB person ID or name"},
+                to: {type: "string", minLength: 1, description: "TMDB person ID or name"},
+                max_depth: {type: "number", minimum: 1, maximum: MAX_DEPTH, description: `Most titles in the chain (default ${DEFAULT_MAX_DEPTH})`},
+                max_requests: {type: "number", minimum: 2, maximum: MAX_REQUESTS, description: `TMDB request budget (default ${DEFAULT_MAX_REQUESTS})`},
+                include_tv: {type: "boolean", description: "Link through TV shows too (default true)"},
+                cast_only: {type: "boolean", description: "Only link through acting credits (default false)"}
+            },
+            required: ["from", "to"],
+            additionalProperties: false
+        },
+        outputSchema: ConnectionPath,
+        handler: async ({from, to, max_depth, max_requests, include_tv, cast_only}, {tmdbFetch}) => {
+            const [source, target] = await resolvePeople(tmdbFetch, [from, to]);
+            const connection = await findConnectionPath(tmdbFetch, source.id, target.id, {max_depth, max_requests, include_tv, cast_only});
+            connection.from.name ??= source.name;
+            connection.to.name ??= target.name;
+            if (!connection.found) {
+                return toolResult(connection, `No connection between ${connection.from.name || from} and ${connection.to.name || to} found (stopped: ${connection.stopped}, ${connection.requests_used} requests).`);
+            }
+            const steps = connection.path.map(step => `${step.from.name} (${step.from.role}) and ${step.to.name} (${step.to.role}) in ${labelOf({...step.title, release_date: step.title.date})}`);
+            return toolResult(connection, `${connection.degrees} degrees: ${steps.join("; ")}.`);
+        }
+    },
+    // Tool: movie_lists
+    // Purpose: Retrieve lists (collections) that include a specific movie.
+    // Input: movie_id (required), language (optional), page (optional).
+    // Output: JSON with paginated list of collections containing the movie.
+    // Use case: AI agents can discover curated lists or collections featuring a particular film.
+    {
+        name: "movie_lists",
+        description: "Retrieves lists and collections that include a specific movie. Input: movie_id (required TMDB ID), language (optional ISO 639-1 code), page (optional page number). Output: JSON with paginated results of lists containing the movie. Purpose: Discover curated collections and lists featuring a movie for content curation by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID"},
+                language: {type: "string", description: "ISO 639-1 language (e.g., en-US)"},
+                page: {type: "number", minimum: 1, description: "Page number"}
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({movie_id, language, page}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/movie/${movie_id}/lists`, {language, page});
+            return toolResult(data, pageSummary("lists containing this movie", data));
+        }
+    },
+    // Tool: movie_images
+    // Purpose: Fetch various images (posters, backdrops, logos) for a movie.
+    // Input: movie_id (required), language (optional), include_image_language (optional filter).
+    // Output: JSON with arrays of backdrops, posters, logos.
+    // Use case: AI agents can access visual assets for movie representation or analysis.
+    {
+        name: "movie_images",
+        description: "Fetches images (posters, backdrops, logos) for a movie. Input: movie_id (required TMDB ID), language (optional ISO 639-1 code), include_image_language (optional comma-separated languages). Output: JSON with image arrays. Purpose: Obtain visual media assets for a movie to support AI-driven image processing or content enrichment.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID"},
+                language: {type: "string", description: "ISO 639-1 language (e.g., en-US)"},
+                include_image_language: {
+                    type: "string",
+                    description: "Filter image languages (comma-separated ISO 639-1 codes or 'null')"
+                }
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbObject,
+        handler: async ({movie_id, language, include_image_language}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/movie/${movie_id}/images`, {language, include_image_language});
+            return toolResult(data, `${(data.posters || []).length} posters, ${(data.backdrops || []).length} backdrops and ${(data.logos || []).length} logos.`);
+        }
+    },
+    // Tool: movie_reviews
+    // Purpose: Get user reviews and ratings for a movie.
+    // Input: movie_id (required), language (optional), page (optional), region (optional).
+    // Output: JSON with paginated list of reviews.
+    // Use case: AI agents can analyze public sentiment and feedback on movies.
+    {
+        name: "movie_reviews",
+        description: "Retrieves user reviews and ratings for a movie. Input: movie_id (required TMDB ID), language (optional ISO 639-1 code), page (optional), region (optional ISO 3166-1 code). Output: JSON with paginated review results. Purpose: Access public opinions and critiques for sentiment analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                region: {type: "string", description: "ISO 3166-1 region code (e.g., US)"}
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: ReviewPage,
+        handler: async ({movie_id, language, page, region}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/movie/${movie_id}/reviews`, {language, page, region});
+            return toolResult(data, pageSummary("reviews", data));
+        }
+    },
+    // Tool: movie_credits
+    // Purpose: Get cast and crew information for a movie.
+    // Input: movie_id (required), language (optional), fields/detail_level (optional).
+    // Output: JSON with cast and crew arrays.
+    // Use case: AI agents can identify actors, directors, and production staff for a film.
+    {
+        name: "movie_credits",
+        description: "Fetches cast and crew credits for a movie. Input: movie_id (required TMDB ID), language (optional ISO 639-1 code), fields (optional dot paths such as cast[0:10].name,cast[0:10].character), detail_level (optional compact|standard|full, default full). Output: JSON with cast and crew details. Purpose: Retrieve detailed personnel information for movie analysis and recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                ...detailProperties("cast[0:10].name,cast[0:10].character")
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: Credits,
+        handler: async ({movie_id, language, fields, detail_level}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/movie/${movie_id}/credits`, {language});
+            const credits = shapeDetails(data, "credits", {fields, detail_level});
+            return toolResult(credits, creditsSummary(credits));
+        }
+    },
+    // Tool: search_keywords
+    // Purpose: Search for TMDB keywords (tags) by text query.
+    // Input: query (required), page (optional).
+    // Output: JSON with paginated keyword results.
+    // Use case: AI agents can find relevant keywords for content tagging or search enhancement.
+    {
+        name: "search_keywords",
+        description: "Searches for TMDB keywords (tags) by text query. Input: query (required search string), page (optional page number). Output: JSON with paginated keyword results. Purpose: Discover keywords for content categorization and search optimization by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {query: {type: "string", description: "Search query for keywords"}, page: {type: "number", minimum: 1, description: "Page number"}},
+            required: ["query"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({query, page}, {tmdbFetch}) => {
+            const data = await tmdbFetch('/search/keyword', {query, page});
+            return toolResult(data, pageSummary("keywords", data));
+        }
+    },
+    // Tool: search_tmdb
+    // Purpose: Perform a multi-type search across movies, TV shows, and people.
+    // Input: query (required), page (optional), language (optional), include_adult (optional), region (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated results, each item normalized to id, media_type, title, date, etc.
+    // Use case: AI agents can perform broad searches to find relevant media content.
+    {
+        name: "search_tmdb",
+        description: "Performs a multi-type search across TMDB for movies, TV shows, and people. Input: query (required search string), page (optional 1-1000), language (optional ISO 639-1), include_adult (optional boolean), region (optional ISO 3166-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated normalized results (id, media_type, title, date, etc.). Purpose: Enable comprehensive content discovery for AI-driven queries.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {type: "string", description: "Search text query"},
+                page: {type: "number", minimum: 1, description: "Page number (1-1000)"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                include_adult: {type: "boolean", description: "Include adult results"},
+                region: {type: "string", description: "ISO 3166-1 code (e.g., US)"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES,
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+        outputSchema: SearchResultPage,
+        handler: async ({query, page, language, include_adult, region, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            if (!query || typeof query !== "string") {
+                throw new Error("query must be a non-empty string");
+            }
+            const data = await fetchPages(tmdbFetch, "/search/multi", {query, page, language, include_adult, region}, {limit, max_pages, cursor});
+            const results = Array.isArray(data.results) ? data.results.map(mapSearchResult) : [];
+            const merged = pageWith(data, results);
+            const filtered = await withCertificationFilter(tmdbFetch, merged, {max_certification, certification_country});
+            return toolResult(filtered, pageSummary("results", filtered));
+        },
+    },
+    // Tool: find_by_external_id
+    // Purpose: Find TMDB movies, TV shows, people, seasons and episodes by an IMDb, TVDB, Wikidata or social media ID.
+    // Input: external_id (required), source (optional for IMDb and Wikidata IDs), language (optional).
+    // Output: JSON with the matches, each normalized with its TMDB id and media_type.
+    // Use case: AI agents working from catalogues keyed by IMDb IDs can get TMDB IDs for the other tools.
+    {
+        name: "find_by_external_id",
+        description: "Finds TMDB entities by an external ID. Input: external_id (required, e.g. tt0137523, nm0000093, Q190050, a TVDB ID or a social media handle), source (optional imdb|tvdb|wikidata|facebook|instagram|tiktok; IMDb and Wikidata IDs are detected), language (optional ISO 639-1). Output: JSON with results (id, media_type movie|tv|person|tv_season|tv_episode, title, date; show_id, season_number and episode_number for seasons and episodes). Purpose: Map IMDb and other external IDs to TMDB IDs for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                external_id: {type: "string", minLength: 1, description: "External ID (e.g., tt0137523)"},
+                source: {type: "string", enum: Object.keys(EXTERNAL_SOURCES), description: "Where the ID comes from (detected for IMDb and Wikidata)"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["external_id"],
+            additionalProperties: false
+        },
+        outputSchema: ExternalIdMatches,
+        handler: async ({external_id, source, language}, {tmdbFetch}) => {
+            const found = await findByExternalId(tmdbFetch, external_id, {source, language});
+            const result = {...found, results: found.results.map(mapFindResult)};
+            const matches = result.results.map(r => `${labelOf(r)} (${r.media_type} ${r.id})`).join(", ");
+            return toolResult(result, result.results.length
+                ? `${result.source} ${result.external_id}: ${matches}.`
+                : `Nothing on TMDB matches ${result.source} ID ${result.external_id}.`);
+        }
+    },
+    // Tool: get_tmdb_details
+    // Purpose: Fetch detailed information for a specific movie, TV show, or person.
+    // Input: type (required: movie|tv|person), id (required TMDB or external ID), external_source (optional), language (optional), append (optional comma-separated fields), fields/detail_level (optional).
+    // Output: JSON with full details, including appended data and external_ids.
+    // Use case: AI agents can retrieve comprehensive metadata for specific media items.
+    {
+        name: "get_tmdb_details",
+        description: "Fetches detailed information for a movie, TV show, or person by type and ID. Input: type (required: movie|tv|person), id (required TMDB ID, or an external ID such as IMDb tt0137523 or Wikidata Q190050), external_source (optional imdb|tvdb|wikidata|facebook|instagram|tiktok, needed for TVDB and social IDs), language (optional ISO 639-1), append (optional comma-separated fields like credits,images, at most 19 since external_ids takes one of TMDB's 20 slots), fields (optional dot paths such as title,runtime,credits.cast[0:10].name), detail_level (optional compact|standard|full, default full). Output: JSON with full item details, always including external_ids (IMDb, TVDB, Wikidata, social IDs). Purpose: Obtain in-depth metadata for targeted content analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv", "person"], description: "The TMDB media type"},
+                id: {type: ["number", "string"], description: "TMDB ID, or an external ID (e.g., tt0137523)"},
+                external_source: {type: "string", enum: Object.keys(EXTERNAL_SOURCES), description: "Source of an external id (IMDb and Wikidata IDs are detected)"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                append: {type: "string", description: "Comma-separated append_to_response (e.g., credits,images); at most 19 entries, as external_ids is always added"},
+                ...detailProperties("title,runtime,credits.cast[0:10].name"),
+            },
+            required: ["type", "id"],
+            additionalProperties: false,
+        },
+        outputSchema: TmdbObject,
+        handler: async ({type, id, external_source, language, append, fields, detail_level}, {tmdbFetch}) => {
+            const tmdbId = await resolveTmdbId(tmdbFetch, type, id, external_source);
+            const appended = append ? append.split(",").map(a => a.trim()).filter(Boolean) : [];
+            if (!appended.includes("external_ids")) appended.push("external_ids");
+            if (appended.length > MAX_APPENDS) {
+                throw new Error(`append takes at most ${MAX_APPENDS - 1} entries besides external_ids, which is always added; got ${appended.length - 1}. Split them across calls`);
+            }
+            const data = await fetchDetails(tmdbFetch, type, tmdbId, {language, append: appended.join(",")});
+            const details = shapeDetails(data, type, {fields, detail_level});
+            return toolResult(details, detailsSummary(details, `${type} ${tmdbId}`));
+        },
+    },
+    // Tool: search_tmdb_movies
+    // Purpose: Search specifically for movies in TMDB.
+    // Input: query (required), year (optional filter), page (optional), language (optional), include_adult (optional), region (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated normalized movie results.
+    // Use case: AI agents can find movies matching specific criteria.
+    {
+        name: "search_tmdb_movies",
+        description: "Searches specifically for movies in TMDB. Input: query (required search string), year (optional release year filter), page (optional), language (optional ISO 639-1), include_adult (optional boolean), region (optional ISO 3166-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated normalized results. Purpose: Targeted movie discovery for AI-driven content queries.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {type: "string", description: "Search query for movies"},
+                year: {type: "number", description: "Filter by release year"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                include_adult: {type: "boolean", description: "Include adult results"},
+                region: {type: "string", description: "ISO 3166-1 region code (e.g., US)"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES,
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+        outputSchema: SearchResultPage,
+        handler: async ({query, year, page, language, include_adult, region, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, "/search/movie", {query, year, page, language, include_adult, region}, {limit, max_pages, cursor});
+            const results = (data.results || []).map(mapSearchResult);
+            const merged = pageWith(data, results);
+            const filtered = await withCertificationFilter(tmdbFetch, merged, {max_certification, certification_country}, "movie");
+            return toolResult(filtered, pageSummary("movies", filtered));
+        },
+    },
+    // Tool: search_tmdb_tv
+    // Purpose: Search specifically for TV shows in TMDB.
+    // Input: query (required), page (optional), language (optional), first_air_date_year (optional), include_adult (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated normalized TV results.
+    // Use case: AI agents can find TV series matching specific criteria.
+    {
+        name: "search_tmdb_tv",
+        description: "Searches specifically for TV shows in TMDB. Input: query (required search string), page (optional), language (optional ISO 639-1), first_air_date_year (optional year filter), include_adult (optional boolean), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated normalized results. Purpose: Targeted TV show discovery for AI-driven content queries.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {type: "string", description: "Search query for TV shows"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                first_air_date_year: {type: "number", description: "Filter by first air date year"},
+                include_adult: {type: "boolean", description: "Include adult results"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES,
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+        outputSchema: SearchResultPage,
+        handler: async ({query, page, language, first_air_date_year, include_adult, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, '/search/tv', {query, page, language, first_air_date_year, include_adult}, {limit, max_pages, cursor});
+            const results = (data.results || []).map(mapSearchResult);
+            const merged = pageWith(data, results);
+            const filtered = await withCertificationFilter(tmdbFetch, merged, {max_certification, certification_country}, "tv");
+            return toolResult(filtered, pageSummary("TV shows", filtered));
+        }
+    },
+    // Tool: search_tmdb_person
+    // Purpose: Search for people (actors, directors, etc.) in TMDB.
+    // Input: query (required), page (optional), language (optional), include_adult (optional), region (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated person results.
+    // Use case: AI agents can find individuals involved in media production.
+    {
+        name: "search_tmdb_person",
+        description: "Searches for people (actors, directors, etc.) in TMDB. Input: query (required search string), page (optional), language (optional ISO 639-1), include_adult (optional boolean), region (optional ISO 3166-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated person results. Purpose: Discover individuals for cast/crew analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {type: "string", description: "Search query for people"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                include_adult: {type: "boolean", description: "Include adult results"},
+                region: {type: "string", description: "ISO 3166-1 region code (e.g., US)"},
+                ...PAGINATION_PROPERTIES,
+            },
+            required: ["query"],
+            additionalProperties: false,
+        },
+        outputSchema: TmdbPage,
+        handler: async ({query, page, language, include_adult, region, limit, max_pages, cursor}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, '/search/person', {query, page, language, include_adult, region}, {limit, max_pages, cursor});
+            return toolResult(data, pageSummary("people", data));
+        }
+    },
+    // Tool: get_watch_providers
+    // Purpose: Retrieve available watch providers (streaming services) for movies or TV in a region.
+    // Input: type (required: movie|tv), language (optional), watch_region (required ISO 3166-1).
+    // Output: JSON with list of providers and their details.
+    // Use case: AI agents can identify where content is available for streaming.
+    {
+        name: "get_watch_providers",
+        description: "Retrieves watch providers (streaming services) for movies or TV in a specific region. Input: type (required: movie|tv), language (optional ISO 639-1, default en), watch_region (required ISO 3166-1 code). Output: JSON with provider list. Purpose: Discover streaming availability for content recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type for providers endpoint"},
+                language: {type: "string", description: "ISO 639-1 language (e.g., en)"},
+                watch_region: {type: "string", description: "ISO 3166-1 region code (e.g., IT)"}
+            },
+            required: ["watch_region", "type"],
+            additionalProperties: false
+        },
+        outputSchema: pageOf(TmdbObject, "WatchProviderList"),
+        handler: async ({type = "tv", language = "en", watch_region}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/watch/providers/${type}`, {language, watch_region});
+            const names = (data.results || []).map(p => p.provider_name);
+            return toolResult(data, `${names.length} ${type} watch providers${watch_region ? ` in ${watch_region}` : ""}${names.length ? `: ${names.slice(0, 10).join(", ")}${names.length > 10 ? ` and ${names.length - 10} more` : ""}` : ""}.`);
+        }
+    },
+    // Tool: discover_by_provider
+    // Purpose: Discover content available on specific streaming providers in a region.
+    // Input: type (optional: tv|movie, default tv), with_watch_providers (required comma-separated IDs), watch_region (required), language (optional), page (optional), sort_by (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated content results.
+    // Use case: AI agents can find content based on user's streaming subscriptions.
+    {
+        name: "discover_by_provider",
+        description: "Discovers movies or TV shows available on specific streaming providers in a region. Input: type (optional: tv|movie, default tv), with_watch_providers (required comma-separated provider IDs or names), watch_region (required ISO 3166-1), language (optional ISO 639-1, default en), page (optional), sort_by (optional), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results. Purpose: Personalized content discovery based on streaming availability for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {
+                    type: "string",
+                    enum: ["tv", "movie"],
+                    description: "Media type to discover: tv (default) or movie"
+                },
+                with_watch_providers: {
+                    type: "string",
+                    description: "Provider ID(s) or name(s), comma-separated (e.g., '8' or 'Netflix'), from service get_watch_providers"
+                },
+                watch_region: {type: "string", description: "ISO 3166-1 region code (e.g., IS)"},
+                language: {type: "string", description: "ISO 639-1 language (e.g., en)"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                sort_by: {
+                    type: "string",
+                    description: "Sort order (e.g., release_date.desc, first_air_date.desc, popularity.desc)"
+                },
+                ...PAGINATION_PROPERTIES
+            },
+            required: ["with_watch_providers", "watch_region"],
+            additionalProperties: false
+        },
+        outputSchema: DiscoverPage,
+        handler: async ({
+                             type = "tv",
+                             with_watch_providers,
+                             watch_region,
+                             language = "en",
+                             page = 1,
+                             sort_by = "release_date.desc",
+                             limit,
+                             max_pages,
+                             cursor
+                         }, {tmdbFetch}) => {
+            const {params, resolution} = await resolveNamedFilters(tmdbFetch, {
+                language,
+                page,
+                with_watch_providers,
+                sort_by,
+                watch_region
+            }, {mediaType: type});
+            const data = await fetchPages(tmdbFetch, `/discover/${type}`, params, {limit, max_pages, cursor});
+            const result = Object.keys(resolution).length ? {...data, name_resolution: resolution} : data;
+            return toolResult(result, pageSummary(type === "tv" ? "TV shows" : "movies", result));
+        }
+    },
+    // Tool: discover_movies
+    // Purpose: Advanced discovery of movies with extensive filtering options.
+    // Input: Various optional filters like language, region, sort_by, certifications, dates, genres, etc. (see schema), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated movie results.
+    // Use case: AI agents can perform sophisticated movie searches based on multiple criteria.
+    {
+        name: "discover_movies",
+        description: "Performs advanced discovery of movies with extensive filtering options. Input: Optional parameters including language (ISO 639-1), region (ISO 3166-1), sort_by, certifications, release dates, genres, keywords, watch providers, vote counts, etc. Genre, keyword, person, company and watch provider filters accept IDs or names. Also limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results, plus name_resolution showing how each name was resolved. Purpose: Enable complex, criteria-based movie discovery for AI-driven content curation.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                language: {type: "string", description: "ISO 639-1 language (e.g., en-US)"},
+                region: {type: "string", description: "ISO 3166-1 region (e.g., US)"},
+                sort_by: {
+                    type: "string",
+                    description: "Sort by (e.g., popularity.desc, release_date.desc, vote_average.desc, primary_release_date.desc, revenue.desc, original_title.asc)"
+                },
+                certification: {type: "string", description: "Filter by certification (e.g., PG-13)"},
+                'certification.gte': {type: "string", description: "Certification greater than or equal to"},
+                'certification.lte': {type: "string", description: "Certification less than or equal to"},
+                'certification_country': {type: "string", description: "Certification country (ISO 3166-1)"},
+                include_adult: {type: "boolean", description: "Include adult titles (default false)"},
+                include_video: {type: "boolean", description: "Include items with videos"},
+                page: {type: "number", minimum: 1, description: "Page number (1-500)"},
+                'primary_release_year': {type: "number", description: "Primary release year"},
+                'primary_release_date.gte': {type: "string", description: "Primary release date from (YYYY-MM-DD)"},
+                'primary_release_date.lte': {type: "string", description: "Primary release date to (YYYY-MM-DD)"},
+                'release_date.gte': {type: "string", description: "Release date from (YYYY-MM-DD)"},
+                'release_date.lte': {type: "string", description: "Release date to (YYYY-MM-DD)"},
+                with_release_type: {
+                    type: "string",
+                    description: "Comma-separated release types (e.g., 2|3). TMDB expects bitmask but pipe is accepted by API"
+                },
+                'with_original_language': {type: "string", description: "Original language (ISO 639-1)"},
+                'with_runtime.gte': {type: "number", description: "Runtime min (minutes)"},
+                'with_runtime.lte': {type: "number", description: "Runtime max (minutes)"},
+                'with_cast': {type: "string", description: "Comma-separated person IDs or names (e.g., Florence Pugh)"},
+                'with_crew': {type: "string", description: "Comma-separated person IDs or names"},
+                'with_people': {type: "string", description: "Comma-separated person IDs or names"},
+                'with_companies': {type: "string", description: "Comma-separated company IDs or names (e.g., A24)"},
+                'with_genres': {type: "string", description: "Comma-separated genre IDs or names (e.g., horror,comedy; use | for OR)"},
+                'without_genres': {type: "string", description: "Comma-separated genre IDs or names to exclude"},
+                'with_keywords': {type: "string", description: "Comma-separated keyword IDs or names"},
+                'without_keywords': {type: "string", description: "Comma-separated keyword IDs or names to exclude"},
+                'with_watch_providers': {type: "string", description: "Comma-separated watch provider IDs or names (e.g., Netflix; use | for OR)"},
+                'watch_region': {type: "string", description: "ISO 3166-1 region for watch providers"},
+                'with_watch_monetization_types': {
+                    type: "string",
+                    description: "Comma-separated monetization types (flatrate|free|ads|rent|buy)"
+                },
+                'vote_count.gte': {type: "number", description: "Minimum vote count"},
+                'vote_count.lte': {type: "number", description: "Maximum vote count"},
+                'vote_average.gte': {type: "number", description: "Minimum vote average (0-10)"},
+                'vote_average.lte': {type: "number", description: "Maximum vote average (0-10)"},
+                'with_release_type.gte': {type: "number", description: "Min release type mask (advanced)"},
+                'with_release_type.lte': {type: "number", description: "Max release type mask (advanced)"},
+                with_status: {
+                    type: "string",
+                    description: "Comma-separated status (Rumored|Planned|In Production|Post Production|Released|Canceled)"
+                },
+                with_type: {type: "string", description: "Comma-separated movie types (Documentary, etc.)"},
+                'without_companies': {type: "string", description: "Comma-separated company IDs or names to exclude"},
+                'screened_theatrically': {type: "boolean", description: "Filter for movies screened theatrically"},
+                ...PAGINATION_PROPERTIES
+            },
+            additionalProperties: false
+        },
+        outputSchema: DiscoverPage,
+        handler: async (args = {}, {tmdbFetch}) => {
+            const {pagination, params: filters} = splitPagination(args);
+            const {params, resolution} = await resolveNamedFilters(tmdbFetch, filters, {mediaType: "movie"});
+            const data = await fetchPages(tmdbFetch, '/discover/movie', params, pagination);
+            const result = Object.keys(resolution).length ? {...data, name_resolution: resolution} : data;
+            return toolResult(result, pageSummary("movies", result));
+        }
+    },
+    // Tool: discover_tv
+    // Purpose: Advanced discovery of TV shows with extensive filtering options.
+    // Input: Various optional filters like language, sort_by, air dates, genres, networks, etc. (see schema), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated TV results.
+    // Use case: AI agents can perform sophisticated TV show searches based on multiple criteria.
+    {
+        name: "discover_tv",
+        description: "Performs advanced discovery of TV shows with extensive filtering options. Input: Optional parameters including language (ISO 639-1), sort_by, air dates, genres, networks, keywords, watch providers, vote counts, etc. Genre, keyword, company and watch provider filters accept IDs or names. Also limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results, plus name_resolution showing how each name was resolved. Purpose: Enable complex, criteria-based TV show discovery for AI-driven content curation.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                language: {type: "string", description: "ISO 639-1 language (e.g., en-US)"},
+                sort_by: {
+                    type: "string",
+                    description: "Sort by (e.g., popularity.desc, first_air_date.desc, vote_average.desc)"
+                },
+                'air_date.gte': {type: "string", description: "Air date from (YYYY-MM-DD)"},
+                'air_date.lte': {type: "string", description: "Air date to (YYYY-MM-DD)"},
+                'first_air_date.gte': {type: "string", description: "First air date from (YYYY-MM-DD)"},
+                'first_air_date.lte': {type: "string", description: "First air date to (YYYY-MM-DD)"},
+                'first_air_date_year': {type: "number", description: "First air date year"},
+                page: {type: "number", minimum: 1, description: "Page number (1-500)"},
+                timezone: {type: "string", description: "Timezone for air date lookups (e.g., America/New_York)"},
+                'with_runtime.gte': {type: "number", description: "Runtime min (minutes)"},
+                'with_runtime.lte': {type: "number", description: "Runtime max (minutes)"},
+                include_null_first_air_dates: {type: "boolean", description: "Include shows with null first air dates"},
+                'with_original_language': {type: "string", description: "Original language (ISO 639-1)"},
+                'without_genres': {type: "string", description: "Comma-separated genre IDs or names to exclude"},
+                'with_genres': {type: "string", description: "Comma-separated genre IDs or names (e.g., horror,comedy; use | for OR)"},
+                'with_networks': {type: "string", description: "Comma-separated network IDs"},
+                'with_companies': {type: "string", description: "Comma-separated company IDs or names (e.g., A24)"},
+                'with_keywords': {type: "string", description: "Comma-separated keyword IDs or names"},
+                'without_keywords': {type: "string", description: "Comma-separated keyword IDs or names to exclude"},
+                'screened_theatrically': {type: "boolean", description: "Not applicable to TV but accepted safely"},
+                'with_status': {
+                    type: "string",
+                    description: "Comma-separated production status (Returning Series|Planned|In Production|Ended|Canceled|Pilot)"
+                },
+                'with_type': {type: "string", description: "Comma-separated TV types (e.g., Documentary, News)"},
+                'vote_average.gte': {type: "number", description: "Minimum vote average"},
+                'vote_average.lte': {type: "number", description: "Maximum vote average"},
+                'vote_count.gte': {type: "number", description: "Minimum vote count"},
+                'vote_count.lte': {type: "number", description: "Maximum vote count"},
+                'with_watch_providers': {type: "string", description: "Comma-separated watch provider IDs or names (e.g., Netflix; use | for OR)"},
+                'watch_region': {type: "string", description: "ISO 3166-1 region for watch providers"},
+                'with_watch_monetization_types': {
+                    type: "string",
+                    description: "Comma-separated monetization types (flatrate|free|ads|rent|buy)"
+                },
+                'with_name_translation': {
+                    type: "string",
+                    description: "ISO 639-1 language to filter by available translations"
+                },
+                'with_overview_translation': {
+                    type: "string",
+                    description: "ISO 639-1 language to filter overview translations"
+                },
+                ...PAGINATION_PROPERTIES
+            },
+            additionalProperties: false
+        },
+        outputSchema: DiscoverPage,
+        handler: async (args = {}, {tmdbFetch}) => {
+            const {pagination, params: filters} = splitPagination(args);
+            const {params, resolution} = await resolveNamedFilters(tmdbFetch, filters, {mediaType: "tv"});
+            const data = await fetchPages(tmdbFetch, '/discover/tv', params, pagination);
+            const result = Object.keys(resolution).length ? {...data, name_resolution: resolution} : data;
+            return toolResult(result, pageSummary("TV shows", result));
+        }
+    },
+    // Tool: trending_all
+    // Purpose: Get trending content across all media types (movies, TV, people).
+    // Input: time_window (required: day|week), page (optional), language (optional), region (optional), include_adult (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated trending results.
+    // Use case: AI agents can identify currently popular content for recommendations.
+    {
+        name: "trending_all",
+        description: "Retrieves trending content across movies, TV shows, and people. Input: time_window (required: day|week), page (optional), language (optional ISO 639-1), region (optional ISO 3166-1), include_adult (optional boolean), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated trending results. Purpose: Discover currently popular media for trend analysis and recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                time_window: {type: "string", enum: ["day", "week"], description: "Time window"},
+                page: {type: "number", minimum: 1},
+                language: {type: "string"},
+                region: {type: "string"},
+                include_adult: {type: "boolean"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES
+            },
+            required: ["time_window"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({time_window, page, language, region, include_adult, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            const trending = await fetchPages(tmdbFetch, `/trending/all/${time_window}`, {page, language, region, include_adult}, {limit, max_pages, cursor});
+            const data = await withCertificationFilter(tmdbFetch, trending, {max_certification, certification_country});
+            return toolResult(data, pageSummary("trending titles", data));
+        }
+    },
+    // Tool: trending_movies
+    // Purpose: Get trending movies.
+    // Input: time_window (required: day|week), page (optional), language (optional), region (optional), include_adult (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated trending movie results.
+    // Use case: AI agents can identify currently popular movies.
+    {
+        name: "trending_movies",
+        description: "Retrieves trending movies. Input: time_window (required: day|week), page (optional), language (optional ISO 639-1), region (optional ISO 3166-1), include_adult (optional boolean), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated trending results. Purpose: Discover currently popular movies for trend analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                time_window: {type: "string", enum: ["day", "week"]},
+                page: {type: "number", minimum: 1},
+                language: {type: "string"},
+                region: {type: "string"},
+                include_adult: {type: "boolean"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES
+            },
+            required: ["time_window"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({time_window, page, language, region, include_adult, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            const trending = await fetchPages(tmdbFetch, `/trending/movie/${time_window}`, {page, language, region, include_adult}, {limit, max_pages, cursor});
+            const data = await withCertificationFilter(tmdbFetch, trending, {max_certification, certification_country}, "movie");
+            return toolResult(data, pageSummary("trending movies", data));
+        }
+    },
+    // Tool: trending_tv
+    // Purpose: Get trending TV shows.
+    // Input: time_window (required: day|week), page (optional), language (optional), limit/max_pages/cursor (optional), max_certification/certification_country (optional).
+    // Output: JSON with paginated trending TV results.
+    // Use case: AI agents can identify currently popular TV shows.
+    {
+        name: "trending_tv",
+        description: "Retrieves trending TV shows. Input: time_window (required: day|week), page (optional), language (optional ISO 639-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call), max_certification + certification_country (optional; drop titles rated above e.g. PG-13 in US, and unrated ones). Output: JSON with paginated trending results. Purpose: Discover currently popular TV shows for trend analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                time_window: {type: "string", enum: ["day", "week"]},
+                page: {type: "number", minimum: 1},
+                language: {type: "string"},
+                ...PAGINATION_PROPERTIES,
+                ...CERTIFICATION_FILTER_PROPERTIES
+            },
+            required: ["time_window"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({time_window, page, language, limit, max_pages, cursor, max_certification, certification_country}, {tmdbFetch}) => {
+            const trending = await fetchPages(tmdbFetch, `/trending/tv/${time_window}`, {page, language}, {limit, max_pages, cursor});
+            const data = await withCertificationFilter(tmdbFetch, trending, {max_certification, certification_country}, "tv");
+            return toolResult(data, pageSummary("trending TV shows", data));
+        }
+    },
+    // Tool: trending_people
+    // Purpose: Get trending people.
+    // Input: time_window (required: day|week), page (optional), language (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated trending people results.
+    // Use case: AI agents can identify currently popular individuals in media.
+    {
+        name: "trending_people",
+        description: "Retrieves trending people (actors, directors, etc.). Input: time_window (required: day|week), page (optional), language (optional ISO 639-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated trending results. Purpose: Discover currently popular people for trend analysis by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                time_window: {type: "string", enum: ["day", "week"]},
+                page: {type: "number", minimum: 1},
+                language: {type: "string"},
+                ...PAGINATION_PROPERTIES
+            },
+            required: ["time_window"],
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({time_window, page, language, limit, max_pages, cursor}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, `/trending/person/${time_window}`, {page, language}, {limit, max_pages, cursor});
+            return toolResult(data, pageSummary("trending people", data));
+        }
+    },
+    // Tool: tv_top_rated
+    // Purpose: Get top-rated TV series.
+    // Input: page (optional), language (optional), region (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated top-rated TV results.
+    // Use case: AI agents can access highly rated TV content.
+    {
+        name: "tv_top_rated",
+        description: "Retrieves top-rated TV series. Input: page (optional), language (optional ISO 639-1), region (optional ISO 3166-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results. Purpose: Access highly rated TV shows for quality content recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {page: {type: "number", minimum: 1}, language: {type: "string"}, region: {type: "string"}, ...PAGINATION_PROPERTIES},
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({page, language, region, limit, max_pages, cursor}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, '/tv/top_rated', {page, language, region}, {limit, max_pages, cursor});
+            return toolResult(data, pageSummary("top rated TV shows", data));
+        }
+    },
+    // Tool: tv_airing_today
+    // Purpose: Get TV series airing today.
+    // Input: page (optional), language (optional), timezone (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated TV results airing today.
+    // Use case: AI agents can find currently airing TV content.
+    {
+        name: "tv_airing_today",
+        description: "Retrieves TV series airing today. Input: page (optional), language (optional ISO 639-1), timezone (optional), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results. Purpose: Discover TV shows currently airing for timely recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {page: {type: "number", minimum: 1}, language: {type: "string"}, timezone: {type: "string"}, ...PAGINATION_PROPERTIES},
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({page, language, timezone, limit, max_pages, cursor}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, '/tv/airing_today', {page, language, timezone}, {limit, max_pages, cursor});
+            return toolResult(data, pageSummary("TV shows airing today", data));
+        }
+    },
+    // Tool: tv_popular
+    // Purpose: Get popular TV series.
+    // Input: page (optional), language (optional), region (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated popular TV results.
+    // Use case: AI agents can access widely popular TV content.
+    {
+        name: "tv_popular",
+        description: "Retrieves popular TV series. Input: page (optional), language (optional ISO 639-1), region (optional ISO 3166-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated results. Purpose: Access widely popular TV shows for general recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {page: {type: "number", minimum: 1}, language: {type: "string"}, region: {type: "string"}, ...PAGINATION_PROPERTIES},
+            additionalProperties: false
+        },
+        outputSchema: TmdbPage,
+        handler: async ({page, language, region, limit, max_pages, cursor}, {tmdbFetch}) => {
+            const data = await fetchPages(tmdbFetch, '/tv/popular', {page, language, region}, {limit, max_pages, cursor});
+            return toolResult(data, pageSummary("popular TV shows", data));
+        }
+    },
+    // Tool: tv_credits
+    // Purpose: Get cast and crew information for a TV show.
+    // Input: tv_id (required), language (optional), fields/detail_level (optional).
+    // Output: JSON with cast and crew arrays.
+    // Use case: AI agents can identify actors, directors, and production staff for a TV series.
+    {
+        name: "tv_credits",
+        description: "Fetches cast and crew credits for a TV show. Input: tv_id (required TMDB ID), language (optional ISO 639-1), fields (optional dot paths such as cast[0:10].name,cast[0:10].character), detail_level (optional compact|standard|full, default full). Output: JSON with cast and crew details. Purpose: Retrieve detailed personnel information for TV show analysis and recommendations by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tv_id: {type: "number", description: "TMDB TV Show ID"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                ...detailProperties("cast[0:10].name,cast[0:10].character")
+            },
+            required: ["tv_id"],
+            additionalProperties: false
+        },
+        outputSchema: Credits,
+        handler: async ({tv_id, language, fields, detail_level}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/tv/${tv_id}/credits`, {language});
+            const credits = shapeDetails(data, "credits", {fields, detail_level});
+            return toolResult(credits, creditsSummary(credits));
+        }
+    },
+    // Tool: tv_season_details
+    // Purpose: Get a TV season with its episode list.
+    // Input: tv_id (required), season_number (required), language (optional).
+    // Output: JSON with season info and normalized episodes (air date, runtime, vote average).
+    // Use case: AI agents can list episodes of a season or find when a season aired.
+    {
+        name: "tv_season_details",
+        description: "Fetches a TV season and its episode list. Input: tv_id (required TMDB ID), season_number (required, 0 for specials), language (optional ISO 639-1). Output: JSON with season name, air date, overview, vote average and normalized episodes (episode_number, name, air_date, runtime, vote_average, overview). Purpose: Browse a season's episodes for recaps and viewing guides by AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tv_id: {type: "number", description: "TMDB TV Show ID"},
+                season_number: {type: "number", minimum: 0, description: "Season number (0 for specials)"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["tv_id", "season_number"],
+            additionalProperties: false
+        },
+        outputSchema: Season,
+        handler: async ({tv_id, season_number, language}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/tv/${tv_id}/season/${season_number}`, {language});
+            const episodes = (data.episodes || []).map(mapEpisode);
+            const season = {
+                id: data.id,
+                tv_id,
+                season_number: data.season_number,
+                name: data.name,
+                air_date: data.air_date || "",
+                vote_average: data.vote_average,
+                episode_count: episodes.length,
+                total_runtime: episodes.reduce((sum, e) => sum + (e.runtime || 0), 0),
+                overview: data.overview,
+                episodes
+            };
+            return toolResult(season, `${season.name || `Season ${season_number}`}: ${season.episode_count} episodes, ${season.total_runtime} min in total${season.air_date ? `, first aired ${season.air_date}` : ""}.`);
+        }
+    },
+    // Tool: tv_episode_details
+    // Purpose: Get a single TV episode, or the show's next/last episode to air.
+    // Input: tv_id (required), season_number + episode_number, or which (next|last), language (optional).
+    // Output: JSON with the normalized episode, key crew and guest stars.
+    // Use case: AI agents can answer "when is the next episode" or describe a specific episode.
+    {
+        name: "tv_episode_details",
+        description: "Fetches a single TV episode. Input: tv_id (required TMDB ID) and either season_number + episode_number, or which (next|last) to get the show's next or last episode to air; language (optional ISO 639-1). Output: JSON with the normalized episode (name, air_date, runtime, vote_average, overview), key crew (directors, writers) and guest stars. Purpose: Episode lookups and air-date questions for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tv_id: {type: "number", description: "TMDB TV Show ID"},
+                season_number: {type: "number", minimum: 0, description: "Season number"},
+                episode_number: {type: "number", minimum: 1, description: "Episode number within the season"},
+                which: {type: "string", enum: ["next", "last"], description: "Resolve the show's next or last episode to air instead of a season/episode pair"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["tv_id"],
+            additionalProperties: false
+        },
+        outputSchema: EpisodeDetails,
+        handler: async ({tv_id, season_number, episode_number, which, language}, {tmdbFetch}) => {
+            if (which) {
+                const show = await fetchDetails(tmdbFetch, "tv", tv_id, {language});
+                const target = which === "next" ? show.next_episode_to_air : show.last_episode_to_air;
+                if (!target) {
+                    const result = {tv_id, which, episode: null, status: show.status, message: `No ${which} episode to air is known for this show`};
+                    return toolResult(result, `${result.message}.`);
+                }
+                season_number = target.season_number;
+                episode_number = target.episode_number;
+            } else if (season_number === undefined || episode_number === undefined) {
+                throw new Error("Either season_number and episode_number, or which (next|last), is required");
+            }
+            const data = await tmdbFetch(`/tv/${tv_id}/season/${season_number}/episode/${episode_number}`, {language});
+            const episode = {
+                tv_id,
+                ...(which ? {which} : {}),
+                ...mapEpisode(data),
+                crew: (data.crew || []).filter(c => KEY_EPISODE_JOBS.includes(c.job)).map(mapCredit),
+                guest_stars: (data.guest_stars || []).map(mapCredit)
+            };
+            return toolResult(episode, `${episodeCode(episode.season_number, episode.episode_number)} "${episode.name}"${episode.air_date ? `, aired ${episode.air_date}` : ""}${episode.runtime ? `, ${episode.runtime} min` : ""}, ${episode.guest_stars.length} guest stars.`);
+        }
+    },
+    // Tool: tv_episode_credits
+    // Purpose: Get cast, crew and guest stars of a single TV episode.
+    // Input: tv_id (required), season_number (required), episode_number (required), language (optional).
+    // Output: JSON with normalized cast, guest_stars and crew arrays.
+    // Use case: AI agents can answer "who guest-starred in this episode".
+    {
+        name: "tv_episode_credits",
+        description: "Fetches cast, crew and guest stars for a TV episode. Input: tv_id (required TMDB ID), season_number (required), episode_number (required), language (optional ISO 639-1). Output: JSON with normalized cast, guest_stars and crew (id, name, character or job, department). Purpose: Identify episode-specific performers and crew for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tv_id: {type: "number", description: "TMDB TV Show ID"},
+                season_number: {type: "number", minimum: 0, description: "Season number"},
+                episode_number: {type: "number", minimum: 1, description: "Episode number within the season"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["tv_id", "season_number", "episode_number"],
+            additionalProperties: false
+        },
+        outputSchema: EpisodeCredits,
+        handler: async ({tv_id, season_number, episode_number, language}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/tv/${tv_id}/season/${season_number}/episode/${episode_number}/credits`, {language});
+            const credits = {
+                tv_id,
+                season_number,
+                episode_number,
+                cast: (data.cast || []).map(mapCredit),
+                guest_stars: (data.guest_stars || []).map(mapCredit),
+                crew: (data.crew || []).map(mapCredit)
+            };
+            return toolResult(credits, `${episodeCode(season_number, episode_number)}: ${credits.cast.length} regular cast, ${credits.guest_stars.length} guest stars and ${credits.crew.length} crew.`);
+        }
+    },
+    // Tool: where_to_watch
+    // Purpose: Tell where a specific movie or TV show can be watched, per region and monetization type.
+    // Input: type (required: movie|tv), id (required), regions (optional list), providers (optional user subscriptions), monetization_types (optional).
+    // Output: JSON with offers grouped by flatrate/free/ads/rent/buy for each region.
+    // Use case: AI agents can answer "is this on my Netflix?" or compare availability across countries.
+    {
+        name: "where_to_watch",
+        description: "Shows where a specific movie or TV show is available to stream, rent or buy (data by JustWatch). Input: type (required: movie|tv), id (required TMDB ID), regions (optional list of ISO 3166-1 codes to compare, e.g. [\"US\",\"IT\"]; default all regions), providers (optional list of the user's services as provider names or IDs, to keep only those offers), monetization_types (optional subset of flatrate, free, ads, rent, buy). Output: JSON with, per region, the JustWatch link and offers grouped by monetization type, plus available_in and unavailable_in region lists. Purpose: Per-title streaming availability for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type"},
+                id: {type: "number", description: "TMDB Movie or TV Show ID"},
+                regions: {type: "array", items: {type: "string", minLength: 2}, description: "ISO 3166-1 region codes to compare (e.g., [\"US\", \"GB\", \"IT\"])"},
+                providers: {type: "array", items: {type: "string"}, description: "The user's services, as provider names or IDs (e.g., [\"Netflix\", \"337\"])"},
+                monetization_types: {type: "array", items: {type: "string", enum: MONETIZATION_TYPES}, description: "Monetization types to include (default all)"}
+            },
+            required: ["type", "id"],
+            additionalProperties: false
+        },
+        outputSchema: WatchAvailability,
+        handler: async ({type, id, regions, providers, monetization_types = MONETIZATION_TYPES}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/${type}/${id}/watch/providers`);
+            const available = data.results || {};
+            const wanted = regions ? regions.map(r => r.toUpperCase()) : Object.keys(available).sort();
+            const byRegion = {};
+            for (const region of wanted) {
+                const entry = available[region];
+                if (!entry) continue;
+                const offers = {};
+                for (const monetization of monetization_types) {
+                    const list = (entry[monetization] || [])
+                        .filter(offer => !providers || matchesProvider(offer, providers))
+                        .sort((a, b) => (a.display_priority ?? 0) - (b.display_priority ?? 0))
+                        .map(offer => ({id: offer.provider_id, name: offer.provider_name}));
+                    if (list.length) offers[monetization] = list;
+                }
+                if (Object.keys(offers).length) byRegion[region] = {link: entry.link, ...offers};
+            }
+            const result = {
+                id,
+                type,
+                ...(providers ? {providers} : {}),
+                regions: byRegion,
+                available_in: Object.keys(byRegion),
+                unavailable_in: wanted.filter(region => !byRegion[region])
+            };
+            const offers = result.available_in.slice(0, 5).map(region => {
+                const {link, ...byType} = byRegion[region];
+                return `${region}: ${Object.entries(byType).map(([monetization, list]) => `${monetization} ${list.map(p => p.name).join("/")}`).join(", ")}`;
+            });
+            return toolResult(result, `Available in ${result.available_in.length} of ${wanted.length} regions${offers.length ? `. ${offers.join("; ")}` : ""}.`);
+        }
+    },
+    // Tool: recommendations
+    // Purpose: Get TMDB's recommendations for a movie or TV show (based on what users who liked it also liked).
+    // Input: type (required: movie|tv), id (required), page (optional), language (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated normalized results.
+    // Use case: AI agents can answer "what should I watch after this".
+    {
+        name: "recommendations",
+        description: "Fetches TMDB recommendations for a movie or TV show, based on what audiences of the title also watched. Input: type (required: movie|tv), id (required TMDB ID), page (optional), language (optional ISO 639-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated normalized results (id, media_type, title, date, vote_average, overview). Purpose: \"If you liked X\" suggestions for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type"},
+                id: {type: "number", description: "TMDB Movie or TV Show ID"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                ...PAGINATION_PROPERTIES
+            },
+            required: ["type", "id"],
+            additionalProperties: false
+        },
+        outputSchema: SearchResultPage,
+        handler: async (args, {tmdbFetch}) => {
+            const data = await fetchRelatedTitles(tmdbFetch, "recommendations", args);
+            return toolResult(data, pageSummary("recommendations", data));
+        }
+    },
+    // Tool: similar_titles
+    // Purpose: Get titles similar to a movie or TV show (matched on genres and keywords).
+    // Input: type (required: movie|tv), id (required), page (optional), language (optional), limit/max_pages/cursor (optional).
+    // Output: JSON with paginated normalized results.
+    // Use case: AI agents can find titles with the same feel as one the user names.
+    {
+        name: "similar_titles",
+        description: "Fetches movies or TV shows similar to a title, matched by TMDB on genres and keywords. Input: type (required: movie|tv), id (required TMDB ID), page (optional), language (optional ISO 639-1), limit and max_pages (optional; merge several pages into one deduplicated result), cursor (optional next_cursor from a previous call). Output: JSON with paginated normalized results (id, media_type, title, date, vote_average, overview). Purpose: Content-based \"more like this\" suggestions for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type"},
+                id: {type: "number", description: "TMDB Movie or TV Show ID"},
+                page: {type: "number", minimum: 1, description: "Page number"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
+                ...PAGINATION_PROPERTIES
+            },
+            required: ["type", "id"],
+            additionalProperties: false
+        },
+        outputSchema: SearchResultPage,
+        handler: async (args, {tmdbFetch}) => {
+            const data = await fetchRelatedTitles(tmdbFetch, "similar", args);
+            return toolResult(data, pageSummary("similar titles", data));
+        }
+    },
+    // Tool: blend_recommendations
+    // Purpose: Recommend titles from several seed titles at once.
+    // Input: seeds (required list of {type, id}), source (optional), providers + watch_region (optional), limit (optional), language (optional).
+    // Output: JSON with candidates scored by how many seeds suggest them and their popularity, seeds excluded.
+    // Use case: AI agents can answer "I loved these three films, what next?", optionally only on the user's services.
+    {
+        name: "blend_recommendations",
+        description: "Blends recommendations for several seed titles into one ranked list. Input: seeds (required list of {type: movie|tv, id}, 1-10), source (optional recommendations|similar|both, default recommendations), providers (optional list of the user's services as names or IDs; keeps only titles offered on one of them in watch_region), watch_region (optional ISO 3166-1, default US), limit (optional, default 20), language (optional ISO 639-1). Output: JSON with results (normalized title plus score, seed_matches, from_seeds and, with providers, available_on), best first; score is the number of seeds suggesting the title plus its popularity relative to the most popular candidate (0-1); the seeds themselves are never returned. Purpose: Multi-title recommendations for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                seeds: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {type: {type: "string", enum: ["movie", "tv"]}, id: {type: "number"}},
+                        required: ["type", "id"]
+                    },
+                    description: "Seed titles (e.g., [{\"type\": \"movie\", \"id\": 550}, {\"type\": \"tv\", \"id\": 1399}])"
+                },
+                source: {type: "string", enum: Object.keys(BLEND_SOURCES), description: "Where candidates come from (default recommendations)"},
+                providers: {type: "array", items: {type: "string"}, description: "The user's services, as provider names or IDs (e.g., [\"Netflix\", \"337\"])"},
+                watch_region: {type: "string", minLength: 2, description: "ISO 3166-1 region for providers (default US)"},
+                limit: {type: "number", minimum: 1, maximum: 100, description: "Number of titles to return (default 20)"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["seeds"],
+            additionalProperties: false
+        },
+        outputSchema: BlendedRecommendations,
+        handler: async ({seeds, source = "recommendations", providers, watch_region = "US", limit = 20, language}, {tmdbFetch}) => {
+            if (!seeds.length || seeds.length > 10) throw new Error("seeds must list between 1 and 10 titles");
+            const seedList = seeds.map((seed, i) => {
+                const id = Number(seed?.id);
+                if (!["movie", "tv"].includes(seed?.type) || !Number.isInteger(id)) {
+                    throw new Error(`seeds[${i}] must be {type: "movie"|"tv", id: <TMDB ID>}`);
+                }
+                return {type: seed.type, id, key: `${seed.type}:${id}`};
+            });
+            const lists = await Promise.all(seedList.flatMap(seed => BLEND_SOURCES[source].map(kind =>
+                tmdbFetch(`/${seed.type}/${seed.id}/${kind}`, {language}).then(data => ({seed, results: data.results || []})))));
+
+            const seedKeys = new Set(seedList.map(seed => seed.key));
+            const candidates = new Map();
+            for (const {seed, results} of lists) {
+                for (const item of results) {
+                    const key = `${seed.type}:${item.id}`;
+                    if (seedKeys.has(key)) continue;
+                    if (!candidates.has(key)) candidates.set(key, {item: mapSearchResult({...item, media_type: seed.type}), from: new Set()});
+                    candidates.get(key).from.add(seed.key);
+                }
+            }
+            const maxPopularity = Math.max(1, ...[...candidates.values()].map(({item}) => item.popularity || 0));
+            const ranked = [...candidates.values()]
+                .map(({item, from}) => ({
+                    ...item,
+                    score: Number((from.size + (item.popularity || 0) / maxPopularity).toFixed(3)),
+                    seed_matches: from.size,
+                    from_seeds: [...from]
+                }))
+                .sort((a, b) => b.score - a.score);
+
+            let results = ranked.slice(0, limit);
+            if (providers) {
+                // Check availability in score order, a batch at a time, until limit titles are kept
+                const region = watch_region.toUpperCase();
+                results = [];
+                for (let start = 0; start < ranked.length && results.length < limit; start += limit) {
+                    const batch = ranked.slice(start, start + limit);
+                    const offers = await Promise.all(batch.map(item => tmdbFetch(`/${item.media_type}/${item.id}/watch/providers`)));
+                    batch.forEach((item, i) => {
+                        const entry = (offers[i].results || {})[region] || {};
+                        const on = MONETIZATION_TYPES.flatMap(monetization => entry[monetization] || []).filter(offer => matchesProvider(offer, providers));
+                        if (on.length && results.length < limit) results.push({...item, available_on: [...new Set(on.map(offer => offer.provider_name))]});
+                    });
+                }
+            }
+            const blended = {
+                seeds: seedList.map(({type, id}) => ({type, id})),
+                source,
+                ...(providers ? {providers, watch_region: watch_region.toUpperCase()} : {}),
+                total_candidates: ranked.length,
+                results
+            };
+            const shown = results.slice(0, 5).map(r => `${labelOf(r)} [${r.seed_matches}/${seedList.length}]`).join(", ");
+            return toolResult(blended, `${results.length} of ${ranked.length} candidates from ${seedList.length} seeds${providers ? ` on ${providers.join("/")} in ${blended.watch_region}` : ""}${shown ? `: ${shown}` : ""}.`);
+        }
+    },
+    // Tool: collection_details
+    // Purpose: Get a TMDB collection (franchise) with its movies.
+    // Input: collection_id (required), language (optional).
+    // Output: JSON with collection info and its parts sorted by release date.
+    // Use case: AI agents can list every film in a franchise such as "The Lord of the Rings Collection".
+    {
+        name: "collection_details",
+        description: "Fetches a TMDB movie collection (franchise). Input: collection_id (required TMDB collection ID, e.g. from belongs_to_collection in get_tmdb_details), language (optional ISO 639-1). Output: JSON with name, overview and parts (id, title, release_date, vote_average, overview) sorted by release date. Purpose: Explore franchises for AI-driven recommendations.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                collection_id: {type: "number", description: "TMDB Collection ID"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["collection_id"],
+            additionalProperties: false
+        },
+        outputSchema: Collection,
+        handler: async ({collection_id, language}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/collection/${collection_id}`, {language});
+            const collection = {
+                id: data.id,
+                name: data.name,
+                overview: data.overview,
+                parts: (data.parts || []).map(mapSearchResult).map(({date, ...part}) => ({...part, release_date: date})).sort(byReleaseDate)
+            };
+            return toolResult(collection, `${collection.name}: ${collection.parts.length} films: ${collection.parts.map(labelOf).join(", ")}.`);
+        }
+    },
+    // Tool: franchise_watch_order
+    // Purpose: Resolve a movie's collection and return every part in release order with runtimes.
+    // Input: movie_id (required), language (optional).
+    // Output: JSON with ordered parts, runtimes, total runtime and unreleased parts.
+    // Use case: AI agents can plan a franchise marathon from any one of its movies.
+    {
+        name: "franchise_watch_order",
+        description: "Given any movie, resolves the collection (franchise) it belongs to and returns all parts in release order. Input: movie_id (required TMDB ID), language (optional ISO 639-1). Output: JSON with collection, ordered parts (order, id, title, release_date, runtime, status, released), total_runtime of released parts and the unreleased parts; collection is null when the movie is not part of one. Purpose: Plan franchise marathons and catch-ups for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID of any part of the franchise"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"}
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: FranchiseOrder,
+        handler: async ({movie_id, language}, {tmdbFetch}) => {
+            const movie = await fetchDetails(tmdbFetch, "movie", movie_id, {language});
+            if (!movie.belongs_to_collection) {
+                const result = {movie_id, title: movie.title, collection: null, message: "This movie does not belong to a TMDB collection"};
+                return toolResult(result, `${movie.title} is not part of a collection.`);
+            }
+            const collection = await tmdbFetch(`/collection/${movie.belongs_to_collection.id}`, {language});
+            // Collection parts carry no runtime or status: fetch each part's details (cached, rate limited)
+            const parts = await Promise.all((collection.parts || []).map(part =>
+                part.id === movie.id ? movie : fetchDetails(tmdbFetch, "movie", part.id, {language})
+            ));
+            const ordered = parts.sort(byReleaseDate).map((part, i) => ({
+                order: i + 1,
+                id: part.id,
+                title: part.title,
+                release_date: part.release_date || "",
+                runtime: part.runtime || null,
+                status: part.status,
+                released: isReleased(part)
+            }));
+            const released = ordered.filter(p => p.released);
+            const result = {
+                movie_id,
+                collection: {id: collection.id, name: collection.name},
+                parts: ordered,
+                total_runtime: released.reduce((sum, p) => sum + (p.runtime || 0), 0),
+                released_count: released.length,
+                unreleased: ordered.filter(p => !p.released).map(({id, title, release_date, status}) => ({id, title, release_date, status}))
+            };
+            return toolResult(result, `${collection.name} in release order: ${ordered.map(p => `${p.order}. ${labelOf(p)}`).join(", ")}. ${released.length} released, ${result.total_runtime} min in total.`);
+        }
+    },
+    // Tool: search_company
+    // Purpose: Search production companies by name.
+    // Input: query (required), page (optional).
+    // Output: JSON with paginated company results (id, name, origin_country, logo_path).
+    // Use case: AI agents can resolve "A24" to the company ID used by discover_movies with_companies.
+    {
+        name: "search_company",
+        description: "Searches production companies by name. Input: query (required search string), page (optional). Output: JSON with paginated results (id, name, origin_country, logo_path). Purpose: Resolve company names to IDs for discover_movies/discover_tv with_companies instead of guessing.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: {type: "string", description: "Company name to search (e.g., A24)"},
+                page: {type: "number", minimum: 1, description: "Page number"}
+            },
+            required: ["query"],
+            additionalProperties: false
+        },
+        outputSchema: pageOf(Organization, "CompanyPage"),
+        handler: async ({query, page}, {tmdbFetch}) => {
+            const data = await tmdbFetch("/search/company", {query, page});
+            const results = (data.results || []).map(({id, name, origin_country, logo_path}) => ({id, name, origin_country, logo_path}));
+            const companies = pageWith(data, results);
+            return toolResult(companies, pageSummary("companies", companies));
+        }
+    },
+    // Tool: company_details
+    // Purpose: Get a production company with parent company, logos and alternative names.
+    // Input: company_id (required).
+    // Output: JSON with company details, parent_company, alternative_names and logos.
+    // Use case: AI agents can check studio ownership and name variants.
+    {
+        name: "company_details",
+        description: "Fetches a production company. Input: company_id (required TMDB company ID, from search_company). Output: JSON with name, description, headquarters, homepage, origin_country, logo_path, parent_company, alternative_names and logos. Purpose: Understand studios and their ownership for AI-driven filtering.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                company_id: {type: "number", description: "TMDB Company ID"}
+            },
+            required: ["company_id"],
+            additionalProperties: false
+        },
+        outputSchema: Organization,
+        handler: async ({company_id}, {tmdbFetch}) => {
+            const company = await fetchOrganization(tmdbFetch, "company", company_id);
+            return toolResult(company, `${company.name}${company.headquarters ? `, headquartered in ${company.headquarters}` : ""}${company.parent_company ? `, part of ${company.parent_company.name}` : ""}.`);
+        }
+    },
+    // Tool: network_details
+    // Purpose: Get a TV network with logos and alternative names.
+    // Input: network_id (required).
+    // Output: JSON with network details, alternative_names and logos.
+    // Use case: AI agents can confirm a network ID before calling discover_tv with_networks.
+    {
+        name: "network_details",
+        description: "Fetches a TV network. Input: network_id (required TMDB network ID; networks appear in get_tmdb_details for TV shows, e.g. HBO is 49, Netflix is 213). Output: JSON with name, headquarters, homepage, origin_country, logo_path, alternative_names and logos. Purpose: Confirm network IDs for discover_tv with_networks.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                network_id: {type: "number", description: "TMDB Network ID"}
+            },
+            required: ["network_id"],
+            additionalProperties: false
+        },
+        outputSchema: Organization,
+        handler: async ({network_id}, {tmdbFetch}) => {
+            const {parent_company, ...network} = await fetchOrganization(tmdbFetch, "network", network_id);
+            return toolResult(network, `${network.name}${network.headquarters ? `, headquartered in ${network.headquarters}` : ""}${network.origin_country ? ` (${network.origin_country})` : ""}.`);
+        }
+    },
+    // Tool: get_videos
+    // Purpose: Find trailers, teasers, clips and featurettes for a movie, TV show or TV season.
+    // Input: type (required: movie|tv), id (required), season_number (optional, tv only), video_types, language, limit (optional).
+    // Output: JSON with videos ranked by language, official status and type, each with a watch URL.
+    // Use case: AI agents can answer "show me the trailer" with a link that plays.
+    {
+        name: "get_videos",
+        description: "Fetches trailers and other videos for a movie, TV show or TV season. Input: type (required: movie|tv), id (required TMDB ID), season_number (optional, TV only), video_types (optional list of Trailer, Teaser, Clip, Featurette, Behind the Scenes, Bloopers, Opening Credits; default all, trailers ranked first), language (optional ISO 639-1, e.g. it or it-IT; videos in it come first, then English, then any other), limit (optional). Output: JSON with videos (name, type, site, key, url, official, language, published_at), best match first: requested language, official before unofficial, then type order and newest first; language_fallback is true when nothing was in the requested language. Purpose: Playable YouTube/Vimeo links for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type"},
+                id: {type: "number", description: "TMDB Movie or TV Show ID"},
+                season_number: {type: "number", minimum: 0, description: "TV season number, for a season's videos"},
+                video_types: {type: "array", items: {type: "string", enum: VIDEO_TYPES}, description: "Video types to include, in order of preference (e.g., [\"Trailer\", \"Teaser\"])"},
+                language: {type: "string", description: "ISO 639-1 code (e.g., en-US); English and then any language are used as fallback"},
+                limit: {type: "number", minimum: 1, maximum: 50, description: "Return at most this many videos"}
+            },
+            required: ["type", "id"],
+            additionalProperties: false
+        },
+        outputSchema: VideoList,
+        handler: async ({type, id, season_number, video_types, language, limit}, {tmdbFetch}) => {
+            if (season_number !== undefined && type !== "tv") throw new Error("season_number is only valid with type tv");
+            const path = season_number === undefined ? `/${type}/${id}/videos` : `/tv/${id}/season/${season_number}/videos`;
+            const wantedLanguage = (language || "en").split("-")[0].toLowerCase();
+            // Without include_video_language TMDB only returns videos in the request language
+            const fallbackLanguages = [...new Set([wantedLanguage, "en", "null"])].join(",");
+            const data = await tmdbFetch(path, {language, include_video_language: fallbackLanguages});
+            const typeOrder = video_types || VIDEO_TYPES;
+            const languageRank = video => (video.iso_639_1 === wantedLanguage ? 0 : video.iso_639_1 === "en" ? 1 : 2);
+            const videos = (data.results || [])
+                .filter(video => typeOrder.includes(video.type))
+                .sort((a, b) => languageRank(a) - languageRank(b)
+                    || Number(Boolean(b.official)) - Number(Boolean(a.official))
+                    || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)
+                    || (b.published_at || "").localeCompare(a.published_at || ""))
+                .map(mapVideo);
+            const result = {
+                id,
+                type,
+                ...(season_number !== undefined ? {season_number} : {}),
+                language: wantedLanguage,
+                language_fallback: videos.length > 0 && videos[0].language !== wantedLanguage,
+                total: videos.length,
+                videos: limit ? videos.slice(0, limit) : videos
+            };
+            const best = videos[0];
+            return toolResult(result, best
+                ? `${videos.length} videos${result.language_fallback ? ` (none in ${wantedLanguage})` : ""}. Best match: "${best.name}" (${best.official ? "official " : ""}${best.type}, ${best.site}${best.language ? `, ${best.language}` : ""})${best.url ? ` ${best.url}` : ""}.`
+                : `No ${video_types ? `${video_types.join("/")} ` : ""}videos found.`);
+        }
+    },
+    // Tool: release_dates
+    // Purpose: Get a movie's release dates and certification (age rating) per country.
+    // Input: movie_id (required), country (optional ISO 3166-1).
+    // Output: JSON with, per country, the certification and releases (type, date, certification, note).
+    // Use case: AI agents can answer "what is this rated in the UK" or "when does it come out on digital".
+    {
+        name: "release_dates",
+        description: "Fetches a movie's release dates and certifications per country. Input: movie_id (required TMDB ID), country (optional ISO 3166-1 code to keep one country, e.g. US). Output: JSON with countries (country, certification, releases with type_name such as Theatrical or Digital, date, certification, note) and, with country, its certification (theatrical release first). Purpose: Age ratings and release windows for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                movie_id: {type: "number", description: "TMDB Movie ID"},
+                country: {type: "string", minLength: 2, description: "ISO 3166-1 country code (e.g., US)"}
+            },
+            required: ["movie_id"],
+            additionalProperties: false
+        },
+        outputSchema: ReleaseDates,
+        handler: async ({movie_id, country}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/movie/${movie_id}/release_dates`);
+            const wanted = country?.toUpperCase();
+            const countries = (data.results || [])
+                .filter(entry => !wanted || entry.iso_3166_1 === wanted)
+                .map(entry => {
+                    const releases = (entry.release_dates || [])
+                        .map(d => ({
+                            type: d.type,
+                            type_name: RELEASE_TYPES[d.type] || "Unknown",
+                            date: (d.release_date || "").slice(0, 10),
+                            certification: d.certification || "",
+                            language: d.iso_639_1 || null,
+                            note: d.note || ""
+                        }))
+                        .sort((a, b) => a.date.localeCompare(b.date));
+                    return {country: entry.iso_3166_1, certification: movieCertification(data, entry.iso_3166_1), releases};
+                })
+                .sort((a, b) => a.country.localeCompare(b.country));
+            if (wanted) {
+                const certification = countries[0]?.certification || null;
+                const result = {id: movie_id, country: wanted, certification, countries};
+                const first = countries[0]?.releases[0];
+                return toolResult(result, certification || first
+                    ? `${certification ? `Rated ${certification}` : "Unrated"} in ${wanted}${first ? `, first released ${first.date} (${first.type_name})` : ""}.`
+                    : `No release information for ${wanted}.`);
+            }
+            const rated = countries.filter(c => c.certification);
+            return toolResult({id: movie_id, countries}, `Releases in ${countries.length} countries, rated in ${rated.length}${rated.length ? `: ${rated.slice(0, 8).map(c => `${c.country} ${c.certification}`).join(", ")}` : ""}.`);
+        }
+    },
+    // Tool: content_ratings
+    // Purpose: Get a TV show's content rating per country.
+    // Input: tv_id (required), country (optional ISO 3166-1).
+    // Output: JSON with ratings (country, rating, descriptors).
+    // Use case: AI agents can check whether a series suits a younger audience.
+    {
+        name: "content_ratings",
+        description: "Fetches a TV show's content ratings per country. Input: tv_id (required TMDB ID), country (optional ISO 3166-1 code to keep one country, e.g. US). Output: JSON with ratings (country, rating, descriptors) and, with country, its certification. Purpose: Age ratings of TV shows for AI agents.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                tv_id: {type: "number", description: "TMDB TV Show ID"},
+                country: {type: "string", minLength: 2, description: "ISO 3166-1 country code (e.g., US)"}
+            },
+            required: ["tv_id"],
+            additionalProperties: false
+        },
+        outputSchema: ContentRatings,
+        handler: async ({tv_id, country}, {tmdbFetch}) => {
+            const data = await tmdbFetch(`/tv/${tv_id}/content_ratings`);
+            const wanted = country?.toUpperCase();
+            const ratings = (data.results || [])
+                .filter(entry => !wanted || entry.iso_3166_1 === wanted)
+                .map(entry => ({country: entry.iso_3166_1, rating: entry.rating || "", descriptors: entry.descriptors || []}))
+                .sort((a, b) => a.country.localeCompare(b.country));
+            if (wanted) {
+                const certification = ratings[0]?.rating || null;
+                return toolResult({id: tv_id, country: wanted, certification, ratings}, certification ? `Rated ${certification} in ${wanted}.` : `No rating for ${wanted}.`);
+            }
+            return toolResult({id: tv_id, ratings}, `Rated in ${ratings.length} countries${ratings.length ? `: ${ratings.slice(0, 8).map(r => `${r.country} ${r.rating}`).join(", ")}` : ""}.`);
+        }
+    },
+    // Tool: certifications
+    // Purpose: List the valid movie or TV certifications per country.
+    // Input: type (required: movie|tv), country (optional ISO 3166-1).
+    // Output: JSON with certifications (certification, meaning, order) per country, least restrictive first.
+    // Use case: AI agents can pick a valid value for max_certification or the discover certification filters.
+    {
+        name: "certifications",
+        description: "Lists the certifications (age ratings) TMDB knows for movies or TV. Input: type (required: movie|tv), country (optional ISO 3166-1 code, e.g. US; default all countries). Output: JSON with, per country, certifications (certification, meaning, order) from least to most restrictive. Purpose: Valid values for max_certification and the discover certification filters.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: ["movie", "tv"], description: "Media type"},
+                country: {type: "string", minLength: 2, description: "ISO 3166-1 country code (e.g., US)"}
+            },
+            required: ["type"],
+            additionalProperties: false
+        },
+        outputSchema: CertificationList,
+        handler: async ({type, country}, {tmdbFetch}) => {
+            const mapList = list => list.map(({certification, meaning, order}) => ({certification, meaning, order}));
+            if (country) {
+                const wanted = country.toUpperCase();
+                const list = mapList(await loadCertifications(tmdbFetch, type, wanted));
+                return toolResult({type, countries: list.length ? {[wanted]: list} : {}}, list.length
+                    ? `${wanted} ${type} certifications: ${list.map(c => c.certification).join(", ")}.`
+                    : `TMDB has no ${type} certifications for ${wanted}.`);
+            }
+            const {certifications = {}} = await tmdbFetch(`/certification/${type}/list`);
+            const countries = {};
+            for (const code of Object.keys(certifications).sort()) {
+                countries[code] = mapList([...certifications[code]].sort((a, b) => a.order - b.order));
+            }
+            return toolResult({type, countries}, `${type === "tv" ? "TV" : "Movie"} certifications for ${Object.keys(countries).length} countries.`);
+        }
+    },
+    // Tool: get_image
+    // Purpose: Return a poster, backdrop, profile photo, logo or still as MCP image content.
+    // Input: path (optional file path) or type + id, kind (optional), size (optional), max_bytes (optional).
+    // Output: image content (base64) plus JSON with the URL, size and byte count.
+    // Use case: Multimodal AI agents can look at the artwork instead of reading a file path.
+    {
+        name: "get_image",
+        description: "Fetches a TMDB image and returns it as MCP image content (base64) so multimodal clients can see it. Input: path (optional image file path from any *_path field, e.g. /abc.jpg) or type (movie|tv|person|collection) and id, kind (optional poster|backdrop|profile|logo|still; default poster, or profile for people), size (optional TMDB size such as w342, or small|medium|large|original; default medium), max_bytes (optional cap, default 500000; smaller renditions are tried when exceeded). Output: image content plus JSON with url, size, bytes and mime_type. Purpose: Let AI agents actually see posters and artwork.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                path: {type: "string", description: "Image file path (e.g., /pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg)"},
+                type: {type: "string", enum: ["movie", "tv", "person", "collection"], description: "Media type, when not passing path"},
+                id: {type: "number", description: "TMDB ID, when not passing path"},
+                kind: {type: "string", enum: IMAGE_KINDS, description: "Image kind (default poster, or profile for people)"},
+                size: {type: "string", description: "TMDB size (e.g., w342) or small|medium|large|original"},
+                max_bytes: {type: "number", minimum: 1000, maximum: 5000000, description: "Maximum image size in bytes (default 500000)"}
+            },
+            additionalProperties: false
+        },
+        outputSchema: ImageInfo,
+        handler: async ({path, type, id, kind, size = "medium", max_bytes = DEFAULT_IMAGE_MAX_BYTES}, {tmdbFetch, client}) => {
+            const imageKind = kind || (type === "person" ? "profile" : "poster");
+            let filePath = path;
+            if (!filePath) {
+                if (!type || id === undefined) throw new Error("Provide either path, or type and id");
+                const details = await tmdbFetch(`/${type}/${id}`);
+                filePath = details[`${imageKind}_path`];
+                if (!filePath) throw new Error(`${type} ${id} has no ${imageKind} image`);
+            }
+            const configuration = await loadImageConfiguration(tmdbFetch);
+            const sizes = availableSizes(configuration, imageKind);
+            // Start at the requested size and step down to smaller renditions while the image is over the cap
+            for (let index = sizes.indexOf(pickSize(configuration, imageKind, size)); index >= 0; index--) {
+                const url = `${configuration.secure_base_url}${sizes[index]}${filePath}`;
+                const image = await client.fetchImage(url, {maxBytes: max_bytes});
+                if (image.data) {
+                    const info = {url, size: sizes[index], bytes: image.bytes, mime_type: image.mimeType};
+                    return {
+                        content: [
+                            {type: "image", data: image.data.toString("base64"), mimeType: image.mimeType},
+                            {type: "text", text: `${imageKind} image at ${info.size}, ${info.bytes} bytes: ${url}`}
+                        ],
+                        structuredContent: info
+                    };
+                }
+            }
+            throw new Error(`Every ${imageKind} rendition of ${filePath} is larger than max_bytes (${max_bytes}); raise max_bytes`);
+        }
+    },
+    // Tool: change_feed
+    // Purpose: List the movie, TV or person IDs changed on TMDB in a date range.
+    // Input: type (required: movie|tv|person), start_date/end_date (optional), max_pages (optional).
+    // Output: JSON with the changed IDs, every page and 14-day window fetched automatically.
+    // Use case: Catalogue mirrors can find what to refresh instead of re-fetching everything.
+    {
+        name: "change_feed",
+        description: `Lists the IDs of movies, TV shows or people changed on TMDB in a date range. Input: type (required: movie|tv|person), start_date and end_date (optional YYYY-MM-DD; default the last day; up to 90 days, split into 14-day windows automatically), max_pages (optional pages per window, default ${MAX_PAGES_PER_CALL}). Output: JSON with results (id, adult), total, windows, pages_fetched and complete (false when a window had more pages than were fetched). Purpose: Incremental catalogue sync.`,
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: CHANGE_TYPES, description: "Entity type"},
+                ...DATE_RANGE_PROPERTIES,
+                max_pages: {type: "number", minimum: 1, maximum: MAX_PAGES_PER_CALL, description: `Pages to fetch per 14-day window (default ${MAX_PAGES_PER_CALL})`}
+            },
+            required: ["type"],
+            additionalProperties: false
+        },
+        outputSchema: ChangedIds,
+        handler: async ({type, start_date, end_date, max_pages}, {tmdbFetch}) => {
+            const changed = await fetchChangedIds(tmdbFetch, type, {start_date, end_date, max_pages});
+            return toolResult(changed, `${changed.total} ${type} IDs changed between ${changed.start_date} and ${changed.end_date}${changed.complete ? "" : " (incomplete: raise max_pages or narrow the range)"}.`);
+        }
+    },
+    // Tool: entity_changes
+    // Purpose: Show what changed on one movie, TV show or person in a date range.
+    // Input: type (required: movie|tv|person), id (required), start_date/end_date (optional), keys (optional).
+    // Output: JSON with the changes grouped by field (key), each item with its action, time and values.
+    // Use case: Sync jobs can see exactly which fields to refresh for an entity.
+    {
+        name: "entity_changes",
+        description: "Shows the change history of one movie, TV show or person. Input: type (required: movie|tv|person), id (required TMDB ID), start_date and end_date (optional YYYY-MM-DD; default the last day; up to 90 days), keys (optional list of fields to keep, e.g. [\"overview\", \"images\"]). Output: JSON with changes grouped by key (field), each item with id, action (added|updated|deleted), time, iso_639_1, value and original_value. Purpose: Field-level change tracking for catalogue sync.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: CHANGE_TYPES, description: "Entity type"},
+                id: {type: "number", description: "TMDB ID"},
+                ...DATE_RANGE_PROPERTIES,
+                keys: {type: "array", items: {type: "string"}, description: "Only these changed fields (e.g., [\"title\", \"overview\"])"}
+            },
+            required: ["type", "id"],
+            additionalProperties: false
+        },
+        outputSchema: EntityChanges,
+        handler: async ({type, id, start_date, end_date, keys}, {tmdbFetch}) => {
+            const history = await fetchEntityChanges(tmdbFetch, type, id, {start_date, end_date});
+            if (keys) history.changes = history.changes.filter(change => keys.includes(change.key));
+            const fields = history.changes.map(change => `${change.key} (${change.items.length})`);
+            return toolResult(history, fields.length
+                ? `${type} ${id} changed between ${history.start_date} and ${history.end_date}: ${fields.join(", ")}.`
+                : `No changes to ${type} ${id} between ${history.start_date} and ${history.end_date}.`);
+        }
+    },
+    // Tool: sync_since
+    // Purpose: Everything that changed since the last sync, with the fields that changed on each entity.
+    // Input: type (required: movie|tv|person), since (required date or date-time), until (optional), max_ids (optional), max_pages (optional).
+    // Output: JSON with changed IDs and their changed fields, IDs not inspected and next_since for the next run.
+    // Use case: Downstream jobs can refresh only what actually moved.
+    {
+        name: "sync_since",
+        description: "Returns the movies, TV shows or people changed since a point in time, with the fields that changed on each. Input: type (required: movie|tv|person), since (required YYYY-MM-DD or ISO 8601 date-time, e.g. next_since from the previous run; at most 90 days ago), until (optional date-time, default now), max_ids (optional, default 50, at most 500: IDs whose field changes are looked up, one request each per 14 days), max_pages (optional pages of the change feed per 14-day window). Output: JSON with changed (id, fields, last_changed), not_inspected (changed IDs beyond max_ids, to refresh fully or pass to entity_changes), unchanged_in_range (IDs whose changes all fell outside since-until), complete and next_since. Purpose: Incremental catalogue sync.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                type: {type: "string", enum: CHANGE_TYPES, description: "Entity type"},
+                since: {type: "string", description: "YYYY-MM-DD or ISO 8601 date-time (e.g., next_since from the previous run)"},
+                until: {type: "string", description: "ISO 8601 date-time (default now)"},
+                max_ids: {type: "number", minimum: 1, maximum: 500, description: "Changed IDs to inspect field by field (default 50)"},
+                max_pages: {type: "number", minimum: 1, maximum: MAX_PAGES_PER_CALL, description: "Change feed pages per 14-day window"}
+            },
+            required: ["type", "since"],
+            additionalProperties: false
+        },
+        outputSchema: SyncResult,
+        handler: async ({type, since, until, max_ids, max_pages}, {tmdbFetch}) => {
+            const sync = await syncSince(tmdbFetch, type, {since, until, max_ids, max_pages});
+            const fieldCounts = {};
+            for (const entry of sync.changed) {
+                for (const field of entry.fields) fieldCounts[field] = (fieldCounts[field] || 0) + 1;
+            }
+            const top = Object.entries(fieldCounts).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([field, count]) => `${field} ${count}`);
+            return toolResult(sync, `${sync.changed.length} ${type} IDs changed since ${sync.since}${top.length ? ` (${top.join(", ")})` : ""}`
+                + `${sync.not_inspected.length ? `, ${sync.not_inspected.length} more not inspected` : ""}. Next run: since ${sync.next_since}.`);
+        }
+    },
+    // Tool: cache_stats
+    // Purpose: Inspect the response cache that sits under every TMDB call.
+    // Input: none.
+    // Output: JSON with entry count, hits, misses, coalesced requests and hit rates per endpoint family.
+    // Use case: Operators and AI agents can check whether repeated lookups are being served from cache.
+    {
+        name: "cache_stats",
+        description: "Reports response cache statistics. Input: none. Output: JSON with entries, hits, misses, coalesced (concurrent identical requests served by one call), overall hit_rate and per endpoint family (trending, search, credits, genre, ...) hit rates. Purpose: Monitor caching of TMDB responses.",
+        inputSchema: {type: "object", properties: {}, additionalProperties: false},
+        outputSchema: CacheStats,
+        handler: async (_args, {cache}) => {
+            const stats = cache ? {enabled: true, ...cache.stats()} : {enabled: false};
+            return toolResult(stats, stats.enabled
+                ? `Cache holds ${stats.entries} of ${stats.max_entries} entries, hit rate ${Math.round(stats.hit_rate * 100)}% (${stats.hits} hits, ${stats.misses} misses).`
+                : "The response cache is disabled.");
+        }
+    },
+    // Tool: cache_clear
+    // Purpose: Invalidate cached TMDB responses.
+    // Input: prefix (optional request path prefix, e.g. /movie/550).
+    // Output: JSON with the number of removed entries.
+    // Use case: Force fresh data after an upstream change without restarting the server.
+    {
+        name: "cache_clear",
+        description: "Clears cached TMDB responses. Input: prefix (optional TMDB path prefix such as /movie/550 or /trending; omit to clear everything). Output: JSON with the number of removed entries. Purpose: Manually invalidate stale data.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                prefix: {type: "string", description: "TMDB request path prefix to invalidate (e.g., /movie/550)"}
+            },
+            additionalProperties: false
+        },
+        outputSchema: CacheClearResult,
+        handler: async ({prefix}, {cache}) => {
+            const removed = cache ? cache.clear(prefix) : 0;
+            return toolResult({removed}, `Removed ${removed} cached responses${prefix ? ` under ${prefix}` : ""}.`);
+        }
+    },
+];
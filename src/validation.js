@@ -0,0 +1,108 @@
+// Argument validation against each tool's inputSchema (the JSON Schema subset used by the tools registry:
+// type, enum, minimum/maximum, minLength, items, properties, required, additionalProperties). Values are coerced
+// only when it is lossless, e.g. "550" -> 550, "true" -> true, 28 -> "28", "US,IT" -> ["US", "IT"].
+const DECIMAL = /^-?\d+(\.\d+)?$/;
+
+function describeType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+function matchesType(type, value) {
+    switch (type) {
+        case "number":
+            return typeof value === "number" && Number.isFinite(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return describeType(value) === "object";
+        default:
+            return typeof value === type;
+    }
+}
+
+function coerceValue(type, value) {
+    switch (type) {
+        case "number":
+        case "integer":
+            return typeof value === "string" && DECIMAL.test(value) ? Number(value) : value;
+        case "boolean":
+            return value === "true" ? true : value === "false" ? false : value;
+        case "string":
+            return typeof value === "number" && Number.isFinite(value) ? String(value) : value;
+        case "array":
+            return typeof value === "string" ? value.split(",").map(v => v.trim()).filter(Boolean) : value;
+        default:
+            return value;
+    }
+}
+
+function validateValue(schema, raw, path) {
+    const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+    let value = raw;
+    if (types.length && !types.some(type => matchesType(type, raw))) {
+        const type = types.find(t => matchesType(t, coerceValue(t, raw)));
+        if (!type) return {value: raw, errors: [`${path}: expected ${types.join(" or ")}, got ${describeType(raw)} ${JSON.stringify(raw)}`]};
+        value = coerceValue(type, raw);
+    }
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(raw)}`);
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+    }
+    if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} character(s) long`);
+    }
+    if (Array.isArray(value) && schema.items) {
+        value = value.map((item, i) => {
+            const result = validateValue(schema.items, item, `${path}[${i}]`);
+            errors.push(...result.errors);
+            return result.value;
+        });
+    }
+    if (describeType(value) === "object" && (schema.properties || schema.required)) {
+        const result = validateObject(schema, value, `${path}.`);
+        errors.push(...result.errors);
+        value = result.value;
+    }
+    return {value, errors};
+}
+
+// Checks required fields and each known property of args; prefix is prepended to field names in errors
+function validateObject(schema, args, prefix = "") {
+    const properties = schema.properties || {};
+    const errors = [];
+    const value = {};
+    for (const field of schema.required || []) {
+        if (args[field] === undefined || args[field] === null) errors.push(`${prefix}${field}: is required`);
+    }
+    for (const [key, raw] of Object.entries(args)) {
+        const property = properties[key];
+        if (!property) {
+            if (schema.additionalProperties === false) {
+                errors.push(`${prefix}${key}: unknown argument (allowed: ${Object.keys(properties).join(", ") || "none"})`);
+            } else {
+                value[key] = raw;
+            }
+            continue;
+        }
+        if (raw === undefined || raw === null) continue;
+        const result = validateValue(property, raw, `${prefix}${key}`);
+        errors.push(...result.errors);
+        value[key] = result.value;
+    }
+    return {value, errors};
+}
+
+export function validateArguments(schema, args) {
+    if (describeType(args) !== "object") {
+        return {value: {}, errors: [`arguments: expected object, got ${describeType(args)}`]};
+    }
+    return validateObject(schema, args);
+}
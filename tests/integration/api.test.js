@@ -1,89 +1,37 @@
 import fs from 'fs';
 import path from 'path';
+import { jest } from '@jest/globals';
+import { createTmdbClient, tools, TmdbRequestError } from '../../src/server.js';
 
 // Load fixtures
 const searchResponse = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/searchMultiResponse.json'), 'utf8'));
 const movieDetails = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/movieDetails.json'), 'utf8'));
 const trendingResponse = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/trendingAllResponse.json'), 'utf8'));
 
-// Mock global fetch
-global.fetch = jest.fn();
-
-// Define TMDB constants (copied from main)
-const TMDB_AUTH_TOKEN = "Bearer test_token";
 const TMDB_BASE = "https://production-api.tnl.one/service/tmdb/3";
 
-// Define tmdbFetch (copied from main)
-async function tmdbFetch(path, params = {}) {
-    if (!TMDB_AUTH_TOKEN) {
-        throw new Error("TMDB authorization token is not configured");
-    }
-    const url = new URL(TMDB_BASE + path);
-    Object.entries(params).forEach(([k, v]) => {
-        if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
-    });
+// Mock fetch implementation injected into the client
+const mockFetch = jest.fn();
 
-    const res = await fetch(url, {
-        headers: {
-            Accept: "application/json",
-            Authorization: TMDB_AUTH_TOKEN,
-        },
-    });
-    if (!res.ok) {
-        const text = await res.text().catch(() => "");
-        throw new Error(`TMDB request failed ${res.status}: ${text}`);
-    }
-    return res.json();
-}
+const jsonResponse = (body) => ({ok: true, status: 200, json: () => Promise.resolve(body)});
+const errorResponse = (status, text, headers = {}) => ({
+    ok: false,
+    status,
+    text: () => Promise.resolve(text),
+    headers: new Headers(headers),
+});
 
-// Define mapSearchResult (copied)
-function mapSearchResult(item) {
-    const media_type = item.media_type || (item.title ? "movie" : item.name ? "tv" : "unknown");
-    const title = item.title || item.name || "";
-    const date = item.release_date || item.first_air_date || "";
-    return {
-        id: item.id,
-        media_type,
-        title,
-        date,
-        original_language: item.original_language,
-        popularity: item.popularity,
-        vote_average: item.vote_average,
-        overview: item.overview,
-    };
+function createClient(options = {}) {
+    return createTmdbClient({
+        token: "Bearer test_token",
+        fetchImpl: mockFetch,
+        cache: false,
+        retry: {maxRetries: 0},
+        ...options,
+    });
 }
 
-// Define handlers (copied)
-const searchTmdbHandler = async ({query, page, language, include_adult, region}) => {
-    if (!query || typeof query !== "string") {
-        throw new Error("query must be a non-empty string");
-    }
-    const data = await tmdbFetch("/search/multi", {query, page, language, include_adult, region});
-    const results = Array.isArray(data.results) ? data.results.map(mapSearchResult) : [];
-    return {
-        content: [
-            {
-                type: "text",
-                text: JSON.stringify({
-                    page: data.page,
-                    total_pages: data.total_pages,
-                    total_results: data.total_results,
-                    results
-                }, null, 2),
-            },
-        ],
-    };
-};
-
-const getTmdbDetailsHandler = async ({type, id, language, append}) => {
-    const data = await tmdbFetch(`/${type}/${id}`, {language, append_to_response: append});
-    return {content: [{type: "text", text: JSON.stringify(data)}]};
-};
-
-const trendingAllHandler = async ({time_window, page, language, region, include_adult}) => {
-    const data = await tmdbFetch(`/trending/all/${time_window}`, {page, language, region, include_adult});
-    return {content: [{type: 'text', text: JSON.stringify(data, null, 2)}]};
-};
+const callTool = (client, name, args) => tools.find(t => t.name === name).handler(args, {tmdbFetch: client.fetch, cache: client.cache});
 
 describe('API Integration Tests', () => {
     beforeEach(() => {
@@ -92,74 +40,218 @@ describe('API Integration Tests', () => {
 
     describe('search_tmdb', () => {
         it('should handle successful search with mocked API response', async () => {
-            global.fetch.mockResolvedValue({
-                ok: true,
-                json: () => Promise.resolve(searchResponse),
-            });
+            mockFetch.mockResolvedValue(jsonResponse(searchResponse));
 
-            const result = await searchTmdbHandler({query: 'test movie', page: 1, language: 'en-US'});
+            const result = await callTool(createClient(), 'search_tmdb', {query: 'test movie', page: 1, language: 'en-US'});
 
-            expect(global.fetch).toHaveBeenCalledWith(
-                new URL('https://production-api.tnl.one/service/tmdb/3/search/multi?query=test+movie&page=1&language=en-US'),
-                { headers: { Accept: "application/json", Authorization: "Bearer test_token" } }
+            expect(mockFetch).toHaveBeenCalledWith(
+                new URL(`${TMDB_BASE}/search/multi?language=en-US&page=1&query=test+movie`),
+                expect.objectContaining({headers: {Accept: "application/json", Authorization: "Bearer test_token"}})
             );
 
-            expect(result.content[0].type).toBe('text');
-            const parsed = JSON.parse(result.content[0].text);
+            expect(result.content[0].text).toBe('2 of 100 results (page 1 of 10): Test Movie (2023), Test TV Show (2022).');
+            const parsed = result.structuredContent;
             expect(parsed.results).toHaveLength(2);
             expect(parsed.results[0].title).toBe('Test Movie');
         });
 
         it('should handle API error response', async () => {
-            global.fetch.mockResolvedValue({
-                ok: false,
-                status: 404,
-                text: () => Promise.resolve('Not Found'),
-            });
+            mockFetch.mockResolvedValue(errorResponse(404, 'Not Found'));
 
-            await expect(searchTmdbHandler({query: 'nonexistent'})).rejects.toThrow('TMDB request failed 404: Not Found');
+            await expect(callTool(createClient(), 'search_tmdb', {query: 'nonexistent'})).rejects.toThrow('TMDB request failed 404: Not Found');
         });
 
         it('should handle network error', async () => {
-            global.fetch.mockRejectedValue(new Error('Network error'));
+            mockFetch.mockRejectedValue(new Error('Network error'));
 
-            await expect(searchTmdbHandler({query: 'test'})).rejects.toThrow('Network error');
+            await expect(callTool(createClient(), 'search_tmdb', {query: 'test'})).rejects.toThrow('Network error');
         });
     });
 
     describe('get_tmdb_details', () => {
         it('should fetch movie details successfully', async () => {
-            global.fetch.mockResolvedValue({
-                ok: true,
-                json: () => Promise.resolve(movieDetails),
-            });
+            mockFetch.mockResolvedValue(jsonResponse(movieDetails));
 
-            const result = await getTmdbDetailsHandler({type: 'movie', id: 123, language: 'en', append: 'credits'});
+            const result = await callTool(createClient(), 'get_tmdb_details', {type: 'movie', id: 123, language: 'en', append: 'credits'});
 
-            expect(global.fetch).toHaveBeenCalledWith(
-                new URL('https://production-api.tnl.one/service/tmdb/3/movie/123?language=en&append_to_response=credits'),
-                { headers: { Accept: "application/json", Authorization: "Bearer test_token" } }
+            expect(mockFetch).toHaveBeenCalledWith(
+                new URL(`${TMDB_BASE}/movie/123?append_to_response=credits%2Cexternal_ids&language=en`),
+                expect.objectContaining({headers: {Accept: "application/json", Authorization: "Bearer test_token"}})
             );
 
-            expect(result.content[0].text).toBe(JSON.stringify(movieDetails));
+            expect(result.content[0].text).toBe('Test Movie (2023), 120 min, Action, rated 7.2/10.');
+            expect(result.structuredContent).toEqual(movieDetails);
         });
     });
 
     describe('trending_all', () => {
         it('should fetch trending content', async () => {
-            global.fetch.mockResolvedValue({
-                ok: true,
-                json: () => Promise.resolve(trendingResponse),
-            });
+            mockFetch.mockResolvedValue(jsonResponse(trendingResponse));
 
-            const result = await trendingAllHandler({time_window: 'day', page: 1});
+            const result = await callTool(createClient(), 'trending_all', {time_window: 'day', page: 1});
 
-            expect(global.fetch).toHaveBeenCalledWith(
-                new URL('https://production-api.tnl.one/service/tmdb/3/trending/all/day?page=1'),
-                { headers: { Accept: "application/json", Authorization: "Bearer test_token" } }
+            expect(mockFetch).toHaveBeenCalledWith(
+                new URL(`${TMDB_BASE}/trending/all/day?page=1`),
+                expect.objectContaining({headers: {Accept: "application/json", Authorization: "Bearer test_token"}})
             );
 
-            expect(result.content[0].text).toBe(JSON.stringify(trendingResponse, null, 2));
+            expect(result.structuredContent).toEqual(trendingResponse);
+        });
+    });
+
+    describe('backends', () => {
+        beforeEach(() => {
+            mockFetch.mockResolvedValue(jsonResponse(movieDetails));
+        });
+
+        it('should send the v3 api key as a query parameter', async () => {
+            const client = createClient({backend: 'tmdb-v3', apiKey: 'k3y', token: undefined});
+            await client.fetch('/movie/123');
+            const [url, init] = mockFetch.mock.calls[0];
+            expect(url.href).toBe('https://api.themoviedb.org/3/movie/123?api_key=k3y');
+            expect(init.headers).toEqual({Accept: "application/json"});
+        });
+
+        it('should send the v4 token as a Bearer header', async () => {
+            await createClient({backend: 'tmdb-v4', token: 'v4token'}).fetch('/movie/123');
+            const [url, init] = mockFetch.mock.calls[0];
+            expect(url.origin).toBe('https://api.themoviedb.org');
+            expect(init.headers.Authorization).toBe('Bearer v4token');
+        });
+
+        it('should support a custom proxy base URL and header scheme', async () => {
+            await createClient({baseUrl: 'http://localhost:8080/tmdb/3/', token: 'abc', authHeader: 'X-Api-Token', authScheme: 'Token'}).fetch('/movie/123');
+            const [url, init] = mockFetch.mock.calls[0];
+            expect(url.href).toBe('http://localhost:8080/tmdb/3/movie/123');
+            expect(init.headers).toEqual({Accept: "application/json", 'X-Api-Token': 'Token abc'});
+        });
+
+        it('should reject missing credentials and unknown backends', () => {
+            expect(() => createClient({token: undefined})).toThrow('TMDB_AUTH_TOKEN');
+            expect(() => createClient({backend: 'tmdb-v3'})).toThrow('TMDB_API_KEY');
+            expect(() => createClient({backend: 'nope'})).toThrow('Unknown TMDB_BACKEND "nope"');
+        });
+    });
+
+    describe('response cache', () => {
+        it('should serve repeated requests from cache and coalesce concurrent ones', async () => {
+            mockFetch.mockResolvedValue(jsonResponse(movieDetails));
+            const client = createClient({cache: {}});
+
+            await Promise.all([client.fetch('/movie/123'), client.fetch('/movie/123')]);
+            const again = await client.fetch('/movie/123', {language: undefined});
+
+            expect(again).toEqual(movieDetails);
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(client.cache.stats()).toMatchObject({entries: 1, hits: 1, misses: 1, coalesced: 1});
+        });
+
+        it('should not cache errors and should support invalidation by prefix', async () => {
+            mockFetch.mockResolvedValueOnce(errorResponse(404, 'Not Found')).mockResolvedValue(jsonResponse(trendingResponse));
+            const client = createClient({cache: {}});
+
+            await expect(client.fetch('/trending/all/day')).rejects.toThrow('404');
+            await client.fetch('/trending/all/day');
+            expect(client.cache.stats().families.trending).toEqual({hits: 0, misses: 2, hit_rate: 0});
+            expect(client.cache.clear('/trending')).toBe(1);
+            await client.fetch('/trending/all/day');
+            expect(mockFetch).toHaveBeenCalledTimes(3);
+        });
+
+        it('should invalidate only whole path segments under the prefix', async () => {
+            mockFetch.mockResolvedValue(jsonResponse(movieDetails));
+            const client = createClient({cache: {}});
+
+            await Promise.all(['/movie/550', '/movie/550/credits', '/movie/5501', '/movie/55000'].map(path => client.fetch(path)));
+            expect(client.cache.clear('/movie/550')).toBe(2);
+            expect(client.cache.stats().entries).toBe(2);
+            expect(client.cache.clear('/movie/')).toBe(2);
+        });
+    });
+
+    describe('retries', () => {
+        const retry = {maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5};
+
+        it('should retry transient failures and succeed', async () => {
+            mockFetch
+                .mockResolvedValueOnce(errorResponse(503, 'busy'))
+                .mockResolvedValueOnce(errorResponse(429, 'slow down', {'Retry-After': '0'}))
+                .mockResolvedValue(jsonResponse(movieDetails));
+
+            await expect(createClient({retry}).fetch('/movie/123')).resolves.toEqual(movieDetails);
+            expect(mockFetch).toHaveBeenCalledTimes(3);
+        });
+
+        it('should not retry client errors', async () => {
+            mockFetch.mockResolvedValue(errorResponse(401, 'Invalid API key'));
+
+            const error = await createClient({retry}).fetch('/movie/123').catch(err => err);
+            expect(error).toBeInstanceOf(TmdbRequestError);
+            expect(error.retryable).toBe(false);
+            expect(error.message).toContain('not retryable');
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should report long Retry-After delays without waiting', async () => {
+            mockFetch.mockResolvedValue(errorResponse(429, 'slow down', {'Retry-After': '120'}));
+
+            const error = await createClient({retry}).fetch('/movie/123').catch(err => err);
+            expect(error).toMatchObject({status: 429, retryable: true, retryAfterMs: 120000});
+            expect(error.message).toContain('try again in 120s');
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should retry network errors', async () => {
+            mockFetch
+                .mockRejectedValueOnce(new TypeError('fetch failed'))
+                .mockResolvedValue(jsonResponse(movieDetails));
+
+            await expect(createClient({retry}).fetch('/movie/123')).resolves.toEqual(movieDetails);
+            expect(mockFetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not retry a malformed response body', async () => {
+            mockFetch.mockResolvedValue({ok: true, status: 200, json: () => Promise.reject(new SyntaxError('Unexpected token < in JSON'))});
+
+            const error = await createClient({retry}).fetch('/movie/123').catch(err => err);
+            expect(error).toBeInstanceOf(TmdbRequestError);
+            expect(error).toMatchObject({status: 200, retryable: false});
+            expect(error.message).toBe('TMDB returned a malformed response body: Unexpected token < in JSON (not retryable, fix the request instead)');
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should give up after maxRetries with a retryable error', async () => {
+            mockFetch.mockResolvedValue(errorResponse(502, 'Bad Gateway'));
+
+            await expect(createClient({retry}).fetch('/movie/123')).rejects.toThrow('TMDB request failed 502: Bad Gateway (retryable, try again later)');
+            expect(mockFetch).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('images', () => {
+        const imageResponse = (bytes, headers = {}) => ({
+            ok: true,
+            status: 200,
+            headers: new Headers({'Content-Type': 'image/jpeg', ...headers}),
+            arrayBuffer: () => Promise.resolve(new Uint8Array(bytes).buffer),
+        });
+
+        it('should download images without credentials', async () => {
+            mockFetch.mockResolvedValue(imageResponse(10));
+
+            const image = await createClient().fetchImage('https://image.tmdb.org/t/p/w92/a.jpg');
+            const [url, init] = mockFetch.mock.calls[0];
+            expect(url.href).toBe('https://image.tmdb.org/t/p/w92/a.jpg');
+            expect(init.headers).toBeUndefined();
+            expect(image).toMatchObject({bytes: 10, mimeType: 'image/jpeg'});
+            expect(image.data).toHaveLength(10);
+        });
+
+        it('should not return images over maxBytes', async () => {
+            mockFetch.mockResolvedValueOnce(imageResponse(10, {'Content-Length': '5000'})).mockResolvedValue(imageResponse(10));
+
+            await expect(createClient().fetchImage('https://image.tmdb.org/t/p/original/a.jpg', {maxBytes: 100})).resolves.toEqual({data: null, bytes: 5000, mimeType: 'image/jpeg'});
+            await expect(createClient().fetchImage('https://image.tmdb.org/t/p/original/a.jpg', {maxBytes: 5})).resolves.toMatchObject({data: null, bytes: 10});
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { spawn } from 'child_process';
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+
+// Runs mcp-tmdb-server.js as a child process against a local stand-in for TMDB, so the settings read
+// from the environment and the command line are exercised end to end.
+
+const movieDetails = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/movieDetails.json'), 'utf8'));
+const SERVER = path.join(process.cwd(), 'mcp-tmdb-server.js');
+
+jest.setTimeout(20000);
+
+// Local TMDB stand-in: records every request and answers with `respond(path)` (status, body, headers)
+function startTmdbStub() {
+    const stub = {
+        requests: [],
+        respond: (pathname) => ({body: pathname.startsWith('/3/search/') ? {page: 1, total_pages: 1, total_results: 0, results: []} : movieDetails}),
+    };
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        stub.requests.push({path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers});
+        const {status = 200, body, headers = {}} = stub.respond(url.pathname);
+        res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+        res.end(JSON.stringify(body));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        stub.baseUrl = `http://127.0.0.1:${server.address().port}/3`;
+        stub.close = () => new Promise(done => server.close(done));
+        resolve(stub);
+    }));
+}
+
+async function connectStdio(env) {
+    const client = new Client({name: 'test-client', version: '1.0.0'});
+    await client.connect(new StdioClientTransport({command: process.execPath, args: [SERVER], env, stderr: 'ignore'}));
+    return client;
+}
+
+// Error text of a failed tool call, whether reported as a JSON-RPC error or as an isError result
+async function errorOf(call) {
+    try {
+        const result = await call;
+        return result.isError ? result.content[0].text : null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Start the server without a client attached; resolves with its exit code and stderr once it exits
+function runServer(args, env) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [SERVER, ...args], {env: {PATH: process.env.PATH, ...env}, stdio: ['ignore', 'ignore', 'pipe']});
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('exit', code => resolve({code, stderr}));
+    });
+}
+
+describe('Server process', () => {
+    let stub;
+    let client;
+
+    beforeEach(async () => {
+        stub = await startTmdbStub();
+    });
+
+    afterEach(async () => {
+        if (client) await client.close();
+        client = undefined;
+        await stub.close();
+    });
+
+    const moviePaths = () => stub.requests.filter(r => r.path === '/3/movie/123');
+
+    describe('upstream backend', () => {
+        it('should send the proxy token in the configured header and scheme', async () => {
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc', TMDB_AUTH_HEADER: 'X-Api-Token', TMDB_AUTH_SCHEME: 'Token'});
+            await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+
+            expect(moviePaths()).toHaveLength(1);
+            expect(moviePaths()[0].headers['x-api-token']).toBe('Token abc');
+            expect(moviePaths()[0].headers.authorization).toBeUndefined();
+        });
+
+        it('should send the v3 api key as a query parameter', async () => {
+            client = await connectStdio({TMDB_BACKEND: 'tmdb-v3', TMDB_BASE_URL: stub.baseUrl, TMDB_API_KEY: 'k3y'});
+            await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+
+            expect(moviePaths()[0].query.api_key).toBe('k3y');
+            expect(moviePaths()[0].headers.authorization).toBeUndefined();
+        });
+
+        it('should refuse to start without credentials for the backend', async () => {
+            const {code, stderr} = await runServer([], {TMDB_BACKEND: 'tmdb-v4'});
+            expect(code).not.toBe(0);
+            expect(stderr).toContain('TMDB_AUTH_TOKEN');
+            expect((await runServer([], {TMDB_BACKEND: 'nope', TMDB_AUTH_TOKEN: 'abc'})).stderr).toContain('Unknown TMDB_BACKEND "nope"');
+        });
+    });
+
+    describe('response cache', () => {
+        it('should answer repeated calls from the cache', async () => {
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc'});
+            const first = await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+            const second = await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+
+            expect(second.content).toEqual(first.content);
+            expect(moviePaths()).toHaveLength(1);
+        });
+
+        it('should call TMDB every time with TMDB_CACHE=off', async () => {
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc', TMDB_CACHE: 'off'});
+            await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+            await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+
+            expect(moviePaths()).toHaveLength(2);
+        });
+    });
+
+    describe('retries', () => {
+        it('should retry 5xx and 429 responses, honouring Retry-After', async () => {
+            const failures = [{status: 503, body: {status_message: 'busy'}}, {status: 429, body: {}, headers: {'Retry-After': '0'}}];
+            stub.respond = () => failures.shift() || {body: movieDetails};
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc'});
+
+            const result = await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+            expect(result.isError).toBeFalsy();
+            expect(moviePaths()).toHaveLength(3);
+        });
+
+        it('should not retry client errors and say so', async () => {
+            stub.respond = () => ({status: 401, body: {status_message: 'Invalid API key'}});
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc'});
+
+            const error = await errorOf(client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}}));
+            expect(error).toContain('TMDB request failed 401');
+            expect(error).toContain('not retryable');
+            expect(moviePaths()).toHaveLength(1);
+        });
+
+        it('should stop after TMDB_MAX_RETRIES', async () => {
+            stub.respond = () => ({status: 502, body: {}});
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc', TMDB_MAX_RETRIES: '1'});
+
+            const error = await errorOf(client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}}));
+            expect(error).toContain('retryable, try again later');
+            expect(moviePaths()).toHaveLength(2);
+        });
+    });
+
+    describe('HTTP transport', () => {
+        let child;
+        let baseUrl;
+
+        // Start in HTTP mode on a free port and read the address from the startup line
+        async function startHttp(env) {
+            child = spawn(process.execPath, [SERVER, '--http', '--port', '0'], {env: {PATH: process.env.PATH, ...env}, stdio: ['ignore', 'ignore', 'pipe']});
+            baseUrl = await new Promise((resolve, reject) => {
+                let stderr = '';
+                child.stderr.on('data', chunk => {
+                    stderr += chunk;
+                    const match = /listening on (http:\/\/\S+)\/mcp/.exec(stderr);
+                    if (match) resolve(match[1]);
+                });
+                child.on('exit', code => reject(new Error(`Server exited with ${code}: ${stderr}`)));
+            });
+        }
+
+        afterEach(async () => {
+            if (client) await client.close();
+            client = undefined;
+            if (child && child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+        });
+
+        it('should reject requests without the bearer token', async () => {
+            await startHttp({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc', MCP_HTTP_TOKEN: 'secret'});
+
+            const res = await fetch(`${baseUrl}/mcp`, {method: 'POST', headers: {'Content-Type': 'application/json'}, body: '{}'});
+            expect(res.status).toBe(401);
+            expect(res.headers.get('www-authenticate')).toBe('Bearer');
+        });
+
+        it('should serve tools over Streamable HTTP', async () => {
+            await startHttp({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc', MCP_HTTP_TOKEN: 'secret'});
+            client = new Client({name: 'test-client', version: '1.0.0'});
+            await client.connect(new StreamableHTTPClientTransport(new URL(`${baseUrl}/mcp`), {requestInit: {headers: {Authorization: 'Bearer secret'}}}));
+
+            const {tools} = await client.listTools();
+            expect(tools.map(t => t.name)).toContain('get_tmdb_details');
+            await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 123}});
+            expect(moviePaths()).toHaveLength(1);
+        });
+    });
+
+    describe('argument validation', () => {
+        it('should coerce numeric strings before calling TMDB', async () => {
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc'});
+            await client.callTool({name: 'search_tmdb', arguments: {query: 'dune', page: '2'}});
+
+            const search = stub.requests.find(r => r.path === '/3/search/multi');
+            expect(search.query).toMatchObject({query: 'dune', page: '2'});
+        });
+
+        it('should reject invalid arguments without calling TMDB', async () => {
+            client = await connectStdio({TMDB_BASE_URL: stub.baseUrl, TMDB_AUTH_TOKEN: 'abc'});
+
+            expect(await errorOf(client.callTool({name: 'trending_all', arguments: {time_window: 'month'}})))
+                .toContain('time_window: must be one of "day", "week"');
+            expect(await errorOf(client.callTool({name: 'search_tmdb', arguments: {query: 'dune', page: 'two'}})))
+                .toContain('page: expected number, got string "two"');
+            expect(stub.requests).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import { jest } from '@jest/globals';
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import { SSEClientTransport } from "@modelcontextprotocol/sdk/client/sse.js";
+import { createServer, createTmdbClient, startHttpServer } from '../../src/server.js';
+
+// Mock fetch implementation injected into the shared TMDB client
+const mockFetch = jest.fn();
+const auth = {Authorization: 'Bearer secret'};
+
+const initializeRequest = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: {protocolVersion: '2025-06-18', capabilities: {}, clientInfo: {name: 'raw', version: '1.0.0'}},
+};
+
+describe('HTTP transport', () => {
+    let http;
+    let baseUrl;
+    let clients;
+
+    async function start(options = {}) {
+        const tmdb = createTmdbClient({token: 'test_token', fetchImpl: mockFetch, cache: false, retry: {maxRetries: 0}});
+        http = await startHttpServer({port: 0, authToken: 'secret', createServer: () => createServer({client: tmdb}), ...options});
+        baseUrl = `http://127.0.0.1:${http.httpServer.address().port}`;
+    }
+
+    async function connect(Transport, path) {
+        const client = new Client({name: 'test-client', version: '1.0.0'});
+        await client.connect(new Transport(new URL(`${baseUrl}${path}`), {requestInit: {headers: auth}}));
+        clients.push(client);
+        return client;
+    }
+
+    const health = async () => (await fetch(`${baseUrl}/health`)).json();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockFetch.mockResolvedValue({ok: true, status: 200, json: () => Promise.resolve({id: 550, title: 'Fight Club'})});
+        clients = [];
+    });
+
+    afterEach(async () => {
+        await Promise.allSettled(clients.map(client => client.close()));
+        await http.close();
+    });
+
+    it('should reject a missing or wrong bearer token', async () => {
+        await start();
+        const post = (headers) => fetch(`${baseUrl}/mcp`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers},
+            body: JSON.stringify(initializeRequest),
+        });
+
+        const missing = await post({});
+        expect(missing.status).toBe(401);
+        expect(missing.headers.get('www-authenticate')).toBe('Bearer');
+        expect((await post({Authorization: 'Bearer wrong'})).status).toBe(401);
+        expect((await post({Authorization: 'Basic secret'})).status).toBe(401);
+        expect((await fetch(`${baseUrl}/sse`)).status).toBe(401);
+        expect(await health()).toEqual({status: 'ok', sessions: 0});
+    });
+
+    it('should route concurrent sessions to their own server', async () => {
+        await start();
+        const [first, second] = await Promise.all([connect(StreamableHTTPClientTransport, '/mcp'), connect(StreamableHTTPClientTransport, '/mcp')]);
+
+        const [a, b] = await Promise.all([
+            first.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 550}}),
+            second.listTools(),
+        ]);
+        expect(a.structuredContent).toMatchObject({id: 550, title: 'Fight Club'});
+        expect(b.tools.map(t => t.name)).toContain('get_tmdb_details');
+        expect(http.sessions.size).toBe(2);
+        expect(new Set(clients.map(client => client.transport.sessionId)).size).toBe(2);
+    });
+
+    it('should answer 404 for an unknown session and 400 without one', async () => {
+        await start();
+        const post = (headers, body) => fetch(`${baseUrl}/mcp`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...auth, ...headers},
+            body: JSON.stringify(body),
+        });
+        const listTools = {jsonrpc: '2.0', id: 2, method: 'tools/list'};
+
+        const unknown = await post({'Mcp-Session-Id': 'no-such-session'}, listTools);
+        expect(unknown.status).toBe(404);
+        expect((await unknown.json()).error.message).toBe('Session not found');
+        expect((await post({}, listTools)).status).toBe(400);
+        const message = await fetch(`${baseUrl}/messages?sessionId=no-such-session`, {method: 'POST', headers: auth, body: '{}'});
+        expect(message.status).toBe(404);
+    });
+
+    it('should serve older clients over the SSE fallback', async () => {
+        await start();
+        const client = await connect(SSEClientTransport, '/sse');
+
+        const result = await client.callTool({name: 'get_tmdb_details', arguments: {type: 'movie', id: 550}});
+        expect(result.structuredContent).toMatchObject({id: 550});
+        expect(await health()).toEqual({status: 'ok', sessions: 1});
+    });
+
+    it('should remove sessions the client ends', async () => {
+        await start();
+        const streamable = await connect(StreamableHTTPClientTransport, '/mcp');
+        const sse = await connect(SSEClientTransport, '/sse');
+        expect(http.sessions.size).toBe(2);
+
+        await streamable.transport.terminateSession();
+        await sse.close();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(await health()).toEqual({status: 'ok', sessions: 0});
+    });
+
+    it('should close sessions that stay idle', async () => {
+        await start({sessionIdleTimeoutMs: 100});
+        const idle = await connect(StreamableHTTPClientTransport, '/mcp');
+        await connect(SSEClientTransport, '/sse');
+        expect(http.sessions.size).toBe(2);
+
+        await new Promise(resolve => setTimeout(resolve, 350));
+        expect(await health()).toEqual({status: 'ok', sessions: 0});
+        await expect(idle.listTools()).rejects.toThrow();
+    });
+});
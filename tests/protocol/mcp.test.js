@@ -1,242 +1,303 @@
-import { CallToolRequestSchema, ListToolsRequestSchema } from "@modelcontextprotocol/sdk/types.js";
-
-// Mock tmdbFetch
-const mockTmdbFetch = jest.fn();
-
-// Mock sendLoggingMessage
-const mockSendLoggingMessage = jest.fn();
-
-// Define mapSearchResult (copied)
-function mapSearchResult(item) {
-    const media_type = item.media_type || (item.title ? "movie" : item.name ? "tv" : "unknown");
-    const title = item.title || item.name || "";
-    const date = item.release_date || item.first_air_date || "";
-    return {
-        id: item.id,
-        media_type,
-        title,
-        date,
-        original_language: item.original_language,
-        popularity: item.popularity,
-        vote_average: item.vote_average,
-        overview: item.overview,
-    };
-}
+import fs from 'fs';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { createServer, prompts, resourceTemplates, tools, validateArguments } from '../../src/server.js';
 
-// Define tools (copied, only the three for testing)
-const tools = [
-    {
-        name: "search_tmdb",
-        description: "Search TMDB for movies, TV shows, and people.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                query: {type: "string", description: "Search text query"},
-                page: {type: "number", minimum: 1, description: "Page number (1-1000)"},
-                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
-                include_adult: {type: "boolean", description: "Include adult results"},
-                region: {type: "string", description: "ISO 3166-1 code (e.g., US)"},
-            },
-            required: ["query"],
-            additionalProperties: false,
-        },
-        handler: async ({query, page, language, include_adult, region}) => {
-            if (!query || typeof query !== "string") {
-                throw new Error("query must be a non-empty string");
-            }
-            const data = await mockTmdbFetch("/search/multi", {query, page, language, include_adult, region});
-            const results = Array.isArray(data.results) ? data.results.map(mapSearchResult) : [];
-            return {
-                content: [
-                    {
-                        type: "text",
-                        text: JSON.stringify({
-                            page: data.page,
-                            total_pages: data.total_pages,
-                            total_results: data.total_results,
-                            results
-                        }, null, 2),
-                    },
-                ],
-            };
-        },
-    },
-    {
-        name: "get_tmdb_details",
-        description: "Get details for a TMDB item by type and id.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                type: {type: "string", enum: ["movie", "tv", "person"], description: "The TMDB media type"},
-                id: {type: "number", description: "TMDB ID"},
-                language: {type: "string", description: "ISO 639-1 code (e.g., en-US)"},
-                append: {type: "string", description: "Comma-separated append_to_response (e.g., credits,images)"},
-            },
-            required: ["type", "id"],
-            additionalProperties: false,
-        },
-        handler: async ({type, id, language, append}) => {
-            const data = await mockTmdbFetch(`/${type}/${id}`, {language, append_to_response: append});
-            return {content: [{type: "text", text: JSON.stringify(data)}]};
-        },
-    },
-    {
-        name: "trending_all",
-        description: "List trending content across all media types.",
-        inputSchema: {
-            type: "object",
-            properties: {
-                time_window: {type: "string", enum: ["day", "week"], description: "Time window"},
-                page: {type: "number", minimum: 1},
-                language: {type: "string"},
-                region: {type: "string"},
-                include_adult: {type: "boolean"}
-            },
-            required: ["time_window"],
-            additionalProperties: false
-        },
-        handler: async ({time_window, page, language, region, include_adult}) => {
-            const data = await mockTmdbFetch(`/trending/all/${time_window}`, {page, language, region, include_adult});
-            return {content: [{type: 'text', text: JSON.stringify(data, null, 2)}]};
-        }
-    },
-];
-
-// Mock sendLog
-async function sendLog(level, data) {
-    try {
-        await mockSendLoggingMessage({
-            level,
-            data: typeof data === "string" ? data : JSON.stringify(data),
-        });
-    } catch {
-        // Silently ignore
-    }
-}
+// Load fixtures
+const movieReviews = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/movieReviewsResponse.json'), 'utf8'));
+const trendingResponse = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/trendingAllResponse.json'), 'utf8'));
 
-// Define handlers
-const listToolsHandler = async (_req) => ({
-    tools: tools.map(({name, description, inputSchema}) => ({name, description, inputSchema})),
-});
+// Mock fetch implementation and logger injected into the server
+const mockFetch = jest.fn();
+const mockLogger = {info: jest.fn(), error: jest.fn()};
 
-const callToolHandler = async (req) => {
-    const {name, arguments: args} = req.params || {};
-    const tool = tools.find(t => t.name === name);
-    if (!tool) {
-        await sendLog("error", `Unknown tool called: ${name || "<missing>"} with args: ${JSON.stringify(args || {})}`);
-        throw new Error(`Unknown tool: ${name}`);
-    }
-    await sendLog("info", `Calling tool: ${name} with args: ${JSON.stringify(args || {})}`);
-    try {
-        const start = Date.now();
-        const res = await tool.handler(args || {});
-        const ms = Date.now() - start;
-        await sendLog("info", `Tool success: ${name} in ${ms}ms`);
-        return res;
-    } catch (err) {
-        await sendLog("error", `Tool error: ${name} -> ${err && err.message ? err.message : String(err)}`);
-        throw err;
-    }
-};
+async function connect(options = {}) {
+    const server = createServer({token: 'test_token', fetchImpl: mockFetch, logger: mockLogger, cache: false, retry: {maxRetries: 0}, ...options});
+    const client = new Client({name: 'test-client', version: '1.0.0'});
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+    return client;
+}
 
 describe('MCP Protocol Tests', () => {
-    beforeEach(() => {
+    let client;
+
+    beforeEach(async () => {
         jest.clearAllMocks();
-        mockTmdbFetch.mockResolvedValue({
-            page: 1,
-            total_pages: 1,
-            total_results: 1,
-            results: [{ id: 1, title: 'Test', media_type: 'movie' }]
+        mockFetch.mockResolvedValue({
+            ok: true,
+            json: () => Promise.resolve({
+                page: 1,
+                total_pages: 1,
+                total_results: 1,
+                results: [{ id: 1, title: 'Test', media_type: 'movie' }]
+            }),
         });
+        client = await connect();
+    });
+
+    afterEach(async () => {
+        await client.close();
     });
 
     describe('ListToolsRequestSchema', () => {
         it('should return list of tools with correct schema', async () => {
-            const result = await listToolsHandler({});
+            const result = await client.listTools();
+
+            expect(result.tools).toEqual(tools.map(({name, description, inputSchema, outputSchema}) => ({name, description, inputSchema, outputSchema})));
+            expect(result.tools.every(tool => tool.outputSchema.type === 'object')).toBe(true);
+        });
+    });
+
+    describe('Output schemas', () => {
+        // TMDB payloads shaped like the real API responses
+        const payloads = {
+            '/configuration': {images: {secure_base_url: 'https://image.tmdb.org/t/p/', profile_sizes: ['w45', 'w185', 'original']}},
+            '/movie/550/reviews': movieReviews,
+            '/movie/550/lists': {id: 550, page: 1, total_pages: 1, total_results: 1, results: [{id: 8283, name: 'Mind benders', description: '', favorite_count: 0, item_count: 52, iso_639_1: 'en', list_type: 'movie', poster_path: null}]},
+            '/movie/550/credits': {
+                id: 550,
+                cast: [{id: 819, name: 'Edward Norton', character: 'The Narrator', credit_id: '52fe4250c3a36847f80149f3', order: 0, profile_path: '/8nytsqL59SFJTVYVrN72k6qkGgJ.jpg'}],
+                crew: [{id: 7467, name: 'David Fincher', job: 'Director', department: 'Directing', credit_id: '631f0289568463007bbe28a3', profile_path: null}],
+            },
+            '/movie/550/images': {id: 550, backdrops: [], logos: [], posters: []},
+            '/search/keyword': {page: 1, total_pages: 1, total_results: 1, results: [{id: 818, name: 'based on novel or book'}]},
+            '/trending/all/day': trendingResponse,
+        };
+
+        beforeEach(async () => {
+            mockFetch.mockImplementation(async (url) => ({ok: true, json: () => Promise.resolve(payloads[url.pathname.replace('/service/tmdb/3', '')])}));
+            // The client only checks structuredContent against the outputSchemas it has listed
+            await client.listTools();
+        });
+
+        it.each([
+            ['movie_reviews', {movie_id: 550}],
+            ['movie_lists', {movie_id: 550}],
+            ['movie_credits', {movie_id: 550}],
+            ['movie_images', {movie_id: 550}],
+            ['search_keywords', {query: 'novel'}],
+            ['trending_all', {time_window: 'day'}],
+        ])('should return %s results the client accepts', async (name, args) => {
+            const result = await client.callTool({name, arguments: args});
+
+            expect(result.isError).toBeFalsy();
+            expect(result.structuredContent).toBeDefined();
+        });
 
-            expect(result).toEqual({
-                tools: tools.map(({name, description, inputSchema}) => ({name, description, inputSchema}))
-            });
+        it('should return review IDs as strings', async () => {
+            const result = await client.callTool({name: 'movie_reviews', arguments: {movie_id: 550}});
+
+            expect(result.structuredContent.results.map(r => r.id)).toEqual(['5b1c13b9c3a36848f2026384', '5b6cc2fa9251414e40012f75']);
+        });
+
+        it('should have the client reject content that breaks the schema', async () => {
+            mockFetch.mockImplementation(async () => ({ok: true, json: () => Promise.resolve({page: 1, results: [{id: 'not-a-number'}]})}));
+
+            await expect(client.callTool({name: 'search_keywords', arguments: {query: 'novel'}}))
+                .rejects.toThrow("Structured content does not match the tool's output schema");
         });
     });
 
     describe('CallToolRequestSchema', () => {
         it('should call search_tmdb tool successfully', async () => {
-            const callHandler = callToolHandler;
-            const result = await callHandler({
-                params: {
-                    name: "search_tmdb",
-                    arguments: { query: "test query" }
-                }
-            });
-
-            expect(mockSendLoggingMessage).toHaveBeenCalledWith({
-                level: "info",
-                data: "Calling tool: search_tmdb with args: {\"query\":\"test query\"}"
-            });
-            expect(mockSendLoggingMessage).toHaveBeenCalledWith({
-                level: "info",
-                data: expect.stringContaining("Tool success: search_tmdb in")
-            });
-            expect(result.content[0].type).toBe('text');
+            const result = await client.callTool({name: "search_tmdb", arguments: { query: "test query" }});
+
+            expect(mockLogger.info).toHaveBeenCalledWith("Calling tool: search_tmdb with args: {\"query\":\"test query\"}");
+            expect(mockLogger.info).toHaveBeenCalledWith(expect.stringContaining("Tool success: search_tmdb in"));
+            expect(result.content[0].text).toBe('1 of 1 results (page 1 of 1): Test.');
+            expect(result.structuredContent.results[0]).toMatchObject({id: 1, title: 'Test'});
+            expect(JSON.parse(result.content[1].text)).toEqual(result.structuredContent);
         });
 
         it('should handle unknown tool', async () => {
-            const callHandler = callToolHandler;
-            await expect(callHandler({
-                params: {
-                    name: "unknown_tool",
-                    arguments: {}
-                }
-            })).rejects.toThrow('Unknown tool: unknown_tool');
+            await expect(client.callTool({name: "unknown_tool", arguments: {}})).rejects.toThrow('Unknown tool: unknown_tool');
 
-            expect(mockSendLoggingMessage).toHaveBeenCalledWith({
-                level: "error",
-                data: "Unknown tool called: unknown_tool with args: {}"
-            });
+            expect(mockLogger.error).toHaveBeenCalledWith("Unknown tool called: unknown_tool with args: {}");
         });
 
         it('should handle tool error', async () => {
-            mockTmdbFetch.mockRejectedValue(new Error('API Error'));
-            const callHandler = callToolHandler;
+            mockFetch.mockRejectedValue(new Error('API Error'));
 
-            await expect(callHandler({
-                params: {
-                    name: "search_tmdb",
-                    arguments: { query: "error query" }
-                }
-            })).rejects.toThrow('API Error');
+            await expect(client.callTool({name: "search_tmdb", arguments: { query: "error query" }})).rejects.toThrow('API Error');
 
-            expect(mockSendLoggingMessage).toHaveBeenCalledWith({
-                level: "error",
-                data: "Tool error: search_tmdb -> API Error"
-            });
+            expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining("Tool error: search_tmdb -> TMDB request failed: API Error"));
         });
 
         it('should call get_tmdb_details tool', async () => {
-            mockTmdbFetch.mockResolvedValue({ id: 123, title: 'Test Movie' });
-            const callHandler = callToolHandler;
+            mockFetch.mockResolvedValue({ok: true, json: () => Promise.resolve({ id: 123, title: 'Test Movie' })});
 
-            const result = await callHandler({
-                params: {
-                    name: "get_tmdb_details",
-                    arguments: { type: "movie", id: 123 }
-                }
-            });
+            const result = await client.callTool({name: "get_tmdb_details", arguments: { type: "movie", id: 123 }});
 
-            expect(result.content[0].text).toBe(JSON.stringify({ id: 123, title: 'Test Movie' }));
+            expect(result.content[0].text).toBe('Test Movie.');
+            expect(result.structuredContent).toEqual({ id: 123, title: 'Test Movie' });
         });
 
         it('should call trending_all tool', async () => {
-            const callHandler = callToolHandler;
-            const result = await callHandler({
-                params: {
-                    name: "trending_all",
-                    arguments: { time_window: "day" }
-                }
-            });
+            const result = await client.callTool({name: "trending_all", arguments: { time_window: "day" }});
 
             expect(result.content[0].type).toBe('text');
+            expect(mockFetch.mock.calls[0][0].pathname).toBe('/service/tmdb/3/trending/all/day');
+        });
+
+        it('should return validation errors as isError results', async () => {
+            const result = await client.callTool({name: "movie_credits", arguments: { movie_id: "550x", extra: true }});
+
+            expect(result.isError).toBe(true);
+            expect(result.content[0].text).toBe("Invalid arguments for tool movie_credits:\n- movie_id: expected number, got string \"550x\"\n- extra: unknown argument (allowed: movie_id, language, fields, detail_level)");
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+
+        it('should cut cast and crew lists to fit the response size cap', async () => {
+            const person = (id) => ({id, name: `Person ${id}`, character: 'Someone', job: 'Grip', order: id});
+            const credits = {id: 550, cast: Array.from({length: 200}, (_, i) => person(i)), crew: Array.from({length: 50}, (_, i) => person(i))};
+            mockFetch.mockResolvedValue({ok: true, json: () => Promise.resolve(credits)});
+            const small = await connect({maxResponseBytes: 5000});
+
+            const result = await small.callTool({name: "movie_credits", arguments: { movie_id: 550 }});
+            await small.close();
+
+            const parsed = result.structuredContent;
+            expect(Buffer.byteLength(result.content[1].text)).toBeLessThanOrEqual(5000);
+            expect(parsed.cast[0]).toEqual(credits.cast[0]);
+            expect(parsed.cast.length + parsed.truncated.dropped.cast).toBe(200);
+            expect(parsed.truncated.max_response_bytes).toBe(5000);
+        });
+
+        it('should add full image URLs next to image paths', async () => {
+            mockFetch.mockImplementation(url => Promise.resolve({
+                ok: true,
+                json: () => Promise.resolve(url.pathname.endsWith('/configuration')
+                    ? {images: {secure_base_url: 'https://img.test/p/', poster_sizes: ['w342', 'w500', 'original'], profile_sizes: ['w185', 'original']}}
+                    : {id: 550, poster_path: '/p.jpg', credits: {cast: [{id: 1, profile_path: '/a.jpg'}, {id: 2, profile_path: null}]}}),
+            }));
+
+            const result = await client.callTool({name: "get_tmdb_details", arguments: { type: "movie", id: 550 }});
+
+            const parsed = result.structuredContent;
+            expect(parsed.poster_url).toBe('https://img.test/p/w500/p.jpg');
+            expect(parsed.credits.cast[0].profile_url).toBe('https://img.test/p/w185/a.jpg');
+            expect(parsed.credits.cast[1]).not.toHaveProperty('profile_url');
+        });
+
+        it('should coerce numeric strings before calling the handler', async () => {
+            await client.callTool({name: "movie_credits", arguments: { movie_id: "550" }});
+
+            expect(mockFetch.mock.calls[0][0].pathname).toBe('/service/tmdb/3/movie/550/credits');
+        });
+    });
+
+    describe('Resources', () => {
+        const movie = {id: 550, title: 'Fight Club', release_date: '1999-10-15', runtime: 139, overview: 'An insomniac...', credits: {cast: [{name: 'Brad Pitt', character: 'Tyler Durden'}], crew: []}};
+
+        it('should list resource templates', async () => {
+            const result = await client.listResourceTemplates();
+
+            expect(result.resourceTemplates.map(t => t.uriTemplate)).toEqual(resourceTemplates.map(t => t.uriTemplate));
+            expect(result.resourceTemplates.map(t => t.uriTemplate)).toContain('tmdb://tv/{id}/season/{season_number}');
+        });
+
+        it('should list trending movies and shows as resources', async () => {
+            const result = await client.listResources();
+
+            expect(result.resources).toEqual([{uri: 'tmdb://movie/1', name: 'Test', description: 'Trending movie today', mimeType: 'text/markdown'}]);
+        });
+
+        it('should read a movie as markdown and JSON through the details fetch path', async () => {
+            mockFetch.mockResolvedValue({ok: true, json: () => Promise.resolve(movie)});
+
+            const result = await client.readResource({uri: 'tmdb://movie/550'});
+
+            expect(mockFetch.mock.calls[0][0].href).toBe('https://production-api.tnl.one/service/tmdb/3/movie/550?append_to_response=credits');
+            expect(result.contents.map(c => c.mimeType)).toEqual(['text/markdown', 'application/json']);
+            expect(result.contents[0].text).toContain('# Fight Club (1999)');
+            expect(result.contents[0].text).toContain('- Brad Pitt as Tyler Durden');
+            expect(JSON.parse(result.contents[1].text)).toEqual(movie);
+        });
+
+        it('should honour the format query parameter', async () => {
+            mockFetch.mockResolvedValue({ok: true, json: () => Promise.resolve(movie)});
+
+            const result = await client.readResource({uri: 'tmdb://movie/550?format=json'});
+
+            expect(result.contents).toEqual([{uri: 'tmdb://movie/550?format=json', mimeType: 'application/json', text: JSON.stringify(movie, null, 2)}]);
+        });
+
+        it('should reject unknown resource URIs', async () => {
+            await expect(client.readResource({uri: 'tmdb://collection/10'})).rejects.toThrow('Resource not found: tmdb://collection/10');
+            expect(mockFetch).not.toHaveBeenCalled();
         });
     });
-});
\ No newline at end of file
+
+    describe('Prompts', () => {
+        it('should list prompt templates with their arguments', async () => {
+            const result = await client.listPrompts();
+
+            expect(result.prompts.map(p => p.name)).toEqual(prompts.map(p => p.name));
+            expect(result.prompts.find(p => p.name === 'watch_tonight').arguments).toContainEqual(expect.objectContaining({name: 'region', required: true}));
+        });
+
+        it('should fill in the watch_tonight template', async () => {
+            const result = await client.getPrompt({name: 'watch_tonight', arguments: {region: 'IT', providers: 'Netflix', max_runtime: '100'}});
+
+            const text = result.messages[0].content.text;
+            expect(result.messages[0].role).toBe('user');
+            expect(text).toContain('My streaming services: Netflix.');
+            expect(text).toContain('Call get_watch_providers with type "movie" and watch_region "IT"');
+            expect(text).toContain('with_runtime.lte 100');
+        });
+
+        it('should only name tools in descriptions that the steps call', async () => {
+            const toolNames = tools.map(t => t.name);
+            for (const prompt of prompts) {
+                // Steps can depend on media_type, so build both variants
+                const texts = await Promise.all(['movie', 'tv'].map(async mediaType => {
+                    const args = Object.fromEntries(prompt.arguments.map(a => [a.name, a.name === 'media_type' ? mediaType : 'Dune']));
+                    const {messages} = await client.getPrompt({name: prompt.name, arguments: args});
+                    return messages[0].content.text;
+                }));
+                const named = toolNames.filter(name => new RegExp(`\\b${name}\\b`).test(prompt.description));
+
+                expect(named.length).toBeGreaterThan(0);
+                named.forEach(name => expect(texts.join('\n')).toContain(name));
+            }
+        });
+
+        it('should only call tools with arguments their inputSchema accepts', () => {
+            const checkCalls = (prompt, args) => {
+                for (const call of prompt.lines(args).filter(line => line?.tool)) {
+                    const tool = tools.find(t => t.name === call.tool);
+                    expect(tool).toBeDefined();
+                    // Hints the model fills in are checked by name only; literal values must validate as given
+                    const hinted = Object.keys(call.arguments).filter(name => call.arguments[name]?.described !== undefined);
+                    const literal = Object.fromEntries(Object.entries(call.arguments).map(([name, value]) => [name, hinted.includes(name) ? undefined : value]));
+                    const errors = validateArguments(tool.inputSchema, literal).errors.filter(e => !hinted.some(name => e === `${name}: is required`));
+                    expect({prompt: prompt.name, tool: call.tool, errors}).toEqual({prompt: prompt.name, tool: call.tool, errors: []});
+                }
+            };
+            // Every variant: movie and tv, a numeric ID or a name, with and without the optional arguments
+            for (const prompt of prompts) {
+                for (const mediaType of ['movie', 'tv']) {
+                    for (const value of ['1399', 'Dune']) {
+                        for (const all of [true, false]) {
+                            const given = prompt.arguments.filter(a => all || a.required);
+                            checkCalls(prompt, Object.fromEntries(given.map(a => [a.name, a.name === 'media_type' ? mediaType : value])));
+                        }
+                    }
+                }
+            }
+        });
+
+        it('should send TV picks to discover_tv', async () => {
+            const result = await client.getPrompt({name: 'watch_tonight', arguments: {region: 'US', media_type: 'tv', max_runtime: '45'}});
+            expect(result.messages[0].content.text).toContain('2. Call discover_tv with with_watch_providers set to those IDs (pipe-separated means OR), watch_region "US", sort_by "popularity.desc", with_watch_monetization_types "flatrate", with_runtime.lte 45 and with_genres matching the mood');
+        });
+
+        it('should reject missing required arguments', async () => {
+            await expect(client.getPrompt({name: 'compare_films', arguments: {first: 'Heat'}}))
+                .rejects.toThrow('Missing required argument(s) for prompt compare_films: second');
+        });
+    });
+});
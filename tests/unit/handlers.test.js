@@ -1,85 +1,59 @@
 import fs from 'fs';
 import path from 'path';
 import { jest } from '@jest/globals';
+import { tools, mapSearchResult } from '../../src/server.js';
 
 // Load fixtures
 const searchResponse = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/searchMultiResponse.json'), 'utf8'));
 const movieDetails = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/movieDetails.json'), 'utf8'));
 const trendingResponse = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'tests/fixtures/trendingAllResponse.json'), 'utf8'));
 
-// Mock tmdbFetch
+// Mock tmdbFetch, passed to handlers through their context argument
 const mockTmdbFetch = jest.fn();
 
-// Mock server.sendLoggingMessage
-const mockSendLoggingMessage = jest.fn();
-
-// Define mapSearchResult function (copied from main code)
-function mapSearchResult(item) {
-    const media_type = item.media_type || (item.title ? "movie" : item.name ? "tv" : "unknown");
-    const title = item.title || item.name || "";
-    const date = item.release_date || item.first_air_date || "";
-    return {
-        id: item.id,
-        media_type,
-        title,
-        date,
-        original_language: item.original_language,
-        popularity: item.popularity,
-        vote_average: item.vote_average,
-        overview: item.overview,
-    };
-}
-
-// Define handlers (copied from main code)
-const searchTmdbHandler = async ({query, page, language, include_adult, region}) => {
-    if (!query || typeof query !== "string") {
-        throw new Error("query must be a non-empty string");
-    }
-    const data = await mockTmdbFetch("/search/multi", {query, page, language, include_adult, region});
-    const results = Array.isArray(data.results) ? data.results.map(mapSearchResult) : [];
-    return {
-        content: [
-            {
-                type: "text",
-                text: JSON.stringify({
-                    page: data.page,
-                    total_pages: data.total_pages,
-                    total_results: data.total_results,
-                    results
-                }, null, 2),
-            },
-        ],
-    };
-};
-
-const getTmdbDetailsHandler = async ({type, id, language, append}) => {
-    const data = await mockTmdbFetch(`/${type}/${id}`, {language, append_to_response: append});
-    return {content: [{type: "text", text: JSON.stringify(data)}]};
-};
-
-const trendingAllHandler = async ({time_window, page, language, region, include_adult}) => {
-    const data = await mockTmdbFetch(`/trending/all/${time_window}`, {page, language, region, include_adult});
-    return {content: [{type: 'text', text: JSON.stringify(data, null, 2)}]};
-};
+const callTool = (name, args = {}, context = {}) =>
+    tools.find(t => t.name === name).handler(args, {tmdbFetch: mockTmdbFetch, cache: null, ...context});
 
 describe('Tool Handlers', () => {
     beforeEach(() => {
         jest.clearAllMocks();
     });
 
+    describe('mapSearchResult', () => {
+        it('should normalize movie and tv items', () => {
+            expect(mapSearchResult(searchResponse.results[0])).toEqual({
+                id: 123,
+                media_type: 'movie',
+                title: 'Test Movie',
+                date: '2023-01-01',
+                original_language: 'en',
+                popularity: 8.5,
+                vote_average: 7.2,
+                overview: 'A test movie overview.',
+            });
+            expect(mapSearchResult(searchResponse.results[1])).toMatchObject({title: 'Test TV Show', date: '2022-05-15'});
+        });
+
+        it('should infer media_type when missing', () => {
+            expect(mapSearchResult({id: 1, title: 'Film'}).media_type).toBe('movie');
+            expect(mapSearchResult({id: 2, name: 'Show'}).media_type).toBe('tv');
+            expect(mapSearchResult({id: 3}).media_type).toBe('unknown');
+        });
+    });
+
     describe('search_tmdb', () => {
         it('should validate query parameter', async () => {
-            await expect(searchTmdbHandler({})).rejects.toThrow('query must be a non-empty string');
-            await expect(searchTmdbHandler({query: ''})).rejects.toThrow('query must be a non-empty string');
-            await expect(searchTmdbHandler({query: 123})).rejects.toThrow('query must be a non-empty string');
+            await expect(callTool('search_tmdb', {})).rejects.toThrow('query must be a non-empty string');
+            await expect(callTool('search_tmdb', {query: ''})).rejects.toThrow('query must be a non-empty string');
+            await expect(callTool('search_tmdb', {query: 123})).rejects.toThrow('query must be a non-empty string');
         });
 
         it('should call tmdbFetch with correct params and format response', async () => {
             mockTmdbFetch.mockResolvedValue(searchResponse);
-            const result = await searchTmdbHandler({query: 'test', page: 1, language: 'en'});
+            const result = await callTool('search_tmdb', {query: 'test', page: 1, language: 'en'});
             expect(mockTmdbFetch).toHaveBeenCalledWith('/search/multi', {query: 'test', page: 1, language: 'en', include_adult: undefined, region: undefined});
             expect(result.content[0].type).toBe('text');
-            const parsed = JSON.parse(result.content[0].text);
+            const parsed = result.structuredContent;
             expect(parsed.results).toHaveLength(2);
             expect(parsed.results[0]).toHaveProperty('id', 123);
             expect(parsed.results[0]).toHaveProperty('media_type', 'movie');
@@ -87,44 +61,786 @@ describe('Tool Handlers', () => {
 
         it('should handle empty results', async () => {
             mockTmdbFetch.mockResolvedValue({...searchResponse, results: []});
-            const result = await searchTmdbHandler({query: 'empty'});
-            const parsed = JSON.parse(result.content[0].text);
+            const result = await callTool('search_tmdb', {query: 'empty'});
+            const parsed = result.structuredContent;
             expect(parsed.results).toEqual([]);
         });
 
         it('should handle API error', async () => {
             mockTmdbFetch.mockRejectedValue(new Error('API Error'));
-            await expect(searchTmdbHandler({query: 'error'})).rejects.toThrow('API Error');
+            await expect(callTool('search_tmdb', {query: 'error'})).rejects.toThrow('API Error');
         });
     });
 
     describe('get_tmdb_details', () => {
         it('should call tmdbFetch with correct path and params', async () => {
             mockTmdbFetch.mockResolvedValue(movieDetails);
-            const result = await getTmdbDetailsHandler({type: 'movie', id: 123, language: 'en', append: 'credits'});
-            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/123', {language: 'en', append_to_response: 'credits'});
+            const result = await callTool('get_tmdb_details', {type: 'movie', id: 123, language: 'en', append: 'credits'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/123', {language: 'en', append_to_response: 'credits,external_ids'});
             expect(result.content[0].type).toBe('text');
-            expect(JSON.parse(result.content[0].text)).toEqual(movieDetails);
+            expect(result.structuredContent).toEqual(movieDetails);
+        });
+
+        it('should keep append within TMDB\'s limit of 20 entries, counting external_ids', async () => {
+            mockTmdbFetch.mockResolvedValue(movieDetails);
+            const seasons = (count) => Array.from({length: count}, (_, i) => `season/${i + 1}`).join(',');
+
+            await callTool('get_tmdb_details', {type: 'tv', id: 1399, append: seasons(19)});
+            expect(mockTmdbFetch.mock.calls[0][1].append_to_response.split(',')).toHaveLength(20);
+            await callTool('get_tmdb_details', {type: 'tv', id: 1399, append: `${seasons(19)},external_ids`});
+            expect(mockTmdbFetch.mock.calls[1][1].append_to_response.split(',')).toHaveLength(20);
+            await expect(callTool('get_tmdb_details', {type: 'tv', id: 1399, append: seasons(20)}))
+                .rejects.toThrow('append takes at most 19 entries besides external_ids, which is always added; got 20. Split them across calls');
+            expect(mockTmdbFetch).toHaveBeenCalledTimes(2);
         });
 
         it('should handle API error', async () => {
             mockTmdbFetch.mockRejectedValue(new Error('Not found'));
-            await expect(getTmdbDetailsHandler({type: 'movie', id: 999})).rejects.toThrow('Not found');
+            await expect(callTool('get_tmdb_details', {type: 'movie', id: 999})).rejects.toThrow('Not found');
         });
     });
 
     describe('trending_all', () => {
         it('should call tmdbFetch with correct path and params', async () => {
             mockTmdbFetch.mockResolvedValue(trendingResponse);
-            const result = await trendingAllHandler({time_window: 'day', page: 1});
+            const result = await callTool('trending_all', {time_window: 'day', page: 1});
             expect(mockTmdbFetch).toHaveBeenCalledWith('/trending/all/day', {page: 1, language: undefined, region: undefined, include_adult: undefined});
             expect(result.content[0].type).toBe('text');
-            expect(JSON.parse(result.content[0].text)).toEqual(trendingResponse);
+            expect(result.structuredContent).toEqual(trendingResponse);
         });
 
         it('should handle API error', async () => {
             mockTmdbFetch.mockRejectedValue(new Error('Server error'));
-            await expect(trendingAllHandler({time_window: 'week'})).rejects.toThrow('Server error');
+            await expect(callTool('trending_all', {time_window: 'week'})).rejects.toThrow('Server error');
+        });
+    });
+
+    describe('cache tools', () => {
+        it('should report a disabled cache', async () => {
+            const result = await callTool('cache_stats');
+            expect(result.structuredContent).toEqual({enabled: false});
+        });
+
+        it('should clear by prefix', async () => {
+            const cache = {clear: jest.fn().mockReturnValue(2)};
+            const result = await callTool('cache_clear', {prefix: '/movie/550'}, {cache});
+            expect(cache.clear).toHaveBeenCalledWith('/movie/550');
+            expect(result.structuredContent).toEqual({removed: 2});
+        });
+    });
+
+    describe('tv season and episode tools', () => {
+        const episode = {id: 63056, season_number: 1, episode_number: 1, name: 'Winter Is Coming', air_date: '2011-04-17', runtime: 62, vote_average: 7.9, vote_count: 300, overview: 'Ned Stark...', still_path: '/x.jpg'};
+
+        it('should normalize a season episode list', async () => {
+            mockTmdbFetch.mockResolvedValue({id: 3624, name: 'Season 1', season_number: 1, air_date: '2011-04-17', episodes: [episode, {...episode, episode_number: 2, runtime: 56}]});
+            const result = await callTool('tv_season_details', {tv_id: 1399, season_number: 1});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/tv/1399/season/1', {language: undefined});
+            const parsed = result.structuredContent;
+            expect(parsed).toMatchObject({tv_id: 1399, season_number: 1, episode_count: 2, total_runtime: 118});
+            expect(parsed.episodes[0]).toEqual({id: 63056, season_number: 1, episode_number: 1, name: 'Winter Is Coming', air_date: '2011-04-17', runtime: 62, vote_average: 7.9, vote_count: 300, overview: 'Ned Stark...'});
+        });
+
+        it('should resolve the next episode to air', async () => {
+            mockTmdbFetch
+                .mockResolvedValueOnce({id: 1399, status: 'Returning Series', next_episode_to_air: {season_number: 2, episode_number: 3}})
+                .mockResolvedValueOnce({...episode, season_number: 2, episode_number: 3, crew: [{id: 1, name: 'Dir', job: 'Director'}, {id: 2, name: 'Grip', job: 'Grip'}], guest_stars: [{id: 3, name: 'Guest', character: 'Someone'}]});
+            const result = await callTool('tv_episode_details', {tv_id: 1399, which: 'next'});
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/tv/1399/season/2/episode/3', {language: undefined});
+            const parsed = result.structuredContent;
+            expect(parsed).toMatchObject({tv_id: 1399, which: 'next', season_number: 2, episode_number: 3});
+            expect(parsed.crew.map(c => c.name)).toEqual(['Dir']);
+            expect(parsed.guest_stars[0]).toMatchObject({name: 'Guest', character: 'Someone'});
+        });
+
+        it('should report when no next episode is known', async () => {
+            mockTmdbFetch.mockResolvedValue({id: 1399, status: 'Ended', next_episode_to_air: null});
+            const parsed = (await callTool('tv_episode_details', {tv_id: 1399, which: 'next'})).structuredContent;
+            expect(parsed).toMatchObject({episode: null, status: 'Ended'});
+        });
+
+        it('should require a season/episode pair or which', async () => {
+            await expect(callTool('tv_episode_details', {tv_id: 1399, season_number: 1})).rejects.toThrow('Either season_number and episode_number, or which (next|last), is required');
+        });
+
+        it('should normalize episode credits', async () => {
+            mockTmdbFetch.mockResolvedValue({cast: [{id: 1, name: 'A', character: 'X', order: 0, profile_path: '/a.jpg'}], guest_stars: [{id: 2, name: 'B', character: 'Y'}], crew: [{id: 3, name: 'C', job: 'Director', department: 'Directing'}]});
+            const result = await callTool('tv_episode_credits', {tv_id: 1399, season_number: 1, episode_number: 1});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/tv/1399/season/1/episode/1/credits', {language: undefined});
+            const parsed = result.structuredContent;
+            expect(parsed.cast[0]).toEqual({id: 1, name: 'A', character: 'X', order: 0});
+            expect(parsed.guest_stars).toHaveLength(1);
+            expect(parsed.crew[0]).toMatchObject({job: 'Director', department: 'Directing'});
+        });
+    });
+
+    describe('collection tools', () => {
+        it('should list collection parts in release order', async () => {
+            mockTmdbFetch.mockResolvedValue({id: 10, name: 'Saga', parts: [{id: 2, title: 'Two', release_date: '2002-01-01'}, {id: 3, title: 'Three'}, {id: 1, title: 'One', release_date: '2000-01-01'}]});
+            const parsed = (await callTool('collection_details', {collection_id: 10})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/collection/10', {language: undefined});
+            expect(parsed.parts.map(p => p.title)).toEqual(['One', 'Two', 'Three']);
+            expect(parsed.parts[0]).toMatchObject({id: 1, media_type: 'movie', release_date: '2000-01-01'});
+        });
+
+        it('should build a franchise watch order from any part', async () => {
+            const details = {
+                '/movie/2': {id: 2, title: 'Two', release_date: '2002-01-01', runtime: 120, status: 'Released', belongs_to_collection: {id: 10}},
+                '/movie/1': {id: 1, title: 'One', release_date: '2000-01-01', runtime: 100, status: 'Released'},
+                '/movie/3': {id: 3, title: 'Three', release_date: '', runtime: 0, status: 'Planned'},
+                '/collection/10': {id: 10, name: 'Saga', parts: [{id: 2}, {id: 3}, {id: 1}]},
+            };
+            mockTmdbFetch.mockImplementation(async (path) => details[path]);
+            const parsed = (await callTool('franchise_watch_order', {movie_id: 2})).structuredContent;
+            expect(parsed.collection).toEqual({id: 10, name: 'Saga'});
+            expect(parsed.parts.map(p => [p.order, p.title, p.released])).toEqual([[1, 'One', true], [2, 'Two', true], [3, 'Three', false]]);
+            expect(parsed.total_runtime).toBe(220);
+            expect(parsed.unreleased).toEqual([{id: 3, title: 'Three', release_date: '', status: 'Planned'}]);
+            expect(mockTmdbFetch).toHaveBeenCalledTimes(4);
+        });
+
+        it('should report movies outside any collection', async () => {
+            mockTmdbFetch.mockResolvedValue({id: 550, title: 'Fight Club', belongs_to_collection: null});
+            const parsed = (await callTool('franchise_watch_order', {movie_id: 550})).structuredContent;
+            expect(parsed.collection).toBeNull();
+        });
+    });
+
+    describe('company and network tools', () => {
+        it('should search companies with compact results', async () => {
+            mockTmdbFetch.mockResolvedValue({page: 1, total_pages: 1, total_results: 1, results: [{id: 41077, name: 'A24', origin_country: 'US', logo_path: '/a24.png'}]});
+            const parsed = (await callTool('search_company', {query: 'A24'})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/search/company', {query: 'A24', page: undefined});
+            expect(parsed.results).toEqual([{id: 41077, name: 'A24', origin_country: 'US', logo_path: '/a24.png'}]);
+            expect(Object.keys(parsed)).toEqual(['page', 'total_pages', 'total_results', 'results']);
+        });
+
+        it('should merge company details, alternative names and logos', async () => {
+            const responses = {
+                '/company/3': {id: 3, name: 'Pixar', headquarters: 'Emeryville', parent_company: {id: 2, name: 'Walt Disney Pictures', logo_path: '/d.png'}},
+                '/company/3/alternative_names': {results: [{name: 'Pixar Animation Studios', type: ''}]},
+                '/company/3/images': {logos: [{file_path: '/p.png', file_type: '.svg', aspect_ratio: 2, width: 200, height: 100, vote_average: 5}]},
+            };
+            mockTmdbFetch.mockImplementation(async (path) => responses[path]);
+            const parsed = (await callTool('company_details', {company_id: 3})).structuredContent;
+            expect(parsed.parent_company).toEqual({id: 2, name: 'Walt Disney Pictures', logo_path: '/d.png'});
+            expect(parsed.alternative_names).toEqual(['Pixar Animation Studios']);
+            expect(parsed.logos).toEqual([{file_path: '/p.png', file_type: '.svg', aspect_ratio: 2, width: 200, height: 100}]);
+        });
+
+        it('should fetch network details', async () => {
+            mockTmdbFetch.mockImplementation(async (path) => (path === '/network/49' ? {id: 49, name: 'HBO', origin_country: 'US'} : {}));
+            const parsed = (await callTool('network_details', {network_id: 49})).structuredContent;
+            expect(parsed).toMatchObject({id: 49, name: 'HBO', alternative_names: [], logos: []});
+            expect(parsed).not.toHaveProperty('parent_company');
+        });
+    });
+
+    describe('discover name resolution', () => {
+        const responses = {
+            '/genre/movie/list': {genres: [{id: 27, name: 'Horror'}, {id: 35, name: 'Comedy'}, {id: 878, name: 'Science Fiction'}]},
+            '/genre/tv/list': {genres: [{id: 10765, name: 'Sci-Fi & Fantasy'}, {id: 18, name: 'Drama'}]},
+            '/search/person': {results: [{id: 1373737, name: 'Florence Pugh', known_for_department: 'Acting'}]},
+            '/search/company': {results: [{id: 99999, name: 'A24 Films'}, {id: 41077, name: 'A24', origin_country: 'US'}]},
+            '/watch/providers/tv': {results: [{provider_id: 8, provider_name: 'Netflix'}, {provider_id: 337, provider_name: 'Disney Plus'}]},
+            '/search/keyword': {results: []},
+        };
+        const discoverResponse = {page: 1, total_pages: 1, total_results: 0, results: []};
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(async (path) => responses[path] || discoverResponse);
+        });
+
+        it('should resolve names and keep IDs and separators', async () => {
+            const result = await callTool('discover_movies', {with_genres: 'horror|comedy', with_cast: 'Florence Pugh', with_companies: 'A24,2', 'vote_average.gte': 6});
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/discover/movie', {with_genres: '27|35', with_cast: '1373737', with_companies: '41077,2', 'vote_average.gte': 6});
+            const parsed = result.structuredContent;
+            expect(parsed.name_resolution.with_genres).toEqual([
+                {input: 'horror', id: 27, name: 'Horror', match: 'exact', source: '/genre/movie/list'},
+                {input: 'comedy', id: 35, name: 'Comedy', match: 'exact', source: '/genre/movie/list'},
+            ]);
+            expect(parsed.name_resolution.with_companies).toEqual([{input: 'A24', id: 41077, name: 'A24', origin_country: 'US', match: 'exact', source: '/search/company'}]);
+        });
+
+        it('should leave numeric filters untouched and omit name_resolution', async () => {
+            const result = await callTool('discover_tv', {with_genres: '18', with_networks: '49'});
+            expect(mockTmdbFetch).toHaveBeenCalledTimes(1);
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/discover/tv', {with_genres: '18', with_networks: '49'});
+            expect(result.structuredContent).toEqual(discoverResponse);
+        });
+
+        it('should resolve genre aliases and provider names for TV', async () => {
+            await callTool('discover_by_provider', {with_watch_providers: 'netflix|Disney Plus', watch_region: 'US'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/watch/providers/tv', {watch_region: 'US'});
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/discover/tv', expect.objectContaining({with_watch_providers: '8|337'}));
+
+            await callTool('discover_tv', {with_genres: 'sci-fi'});
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/discover/tv', {with_genres: '10765'});
+        });
+
+        it('should not pick nameless results as partial matches', async () => {
+            const companies = {results: [{id: 1}, {id: 2, name: ''}, {id: 3, name: 'Warner Bros. Pictures'}]};
+            mockTmdbFetch.mockImplementation(async (path) => (path === '/search/company' ? companies : discoverResponse));
+
+            const result = await callTool('discover_movies', {with_companies: 'Warner Bros'});
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/discover/movie', {with_companies: '3'});
+            expect(result.structuredContent.name_resolution.with_companies[0]).toMatchObject({id: 3, match: 'partial'});
+        });
+
+        it('should list every name that cannot be resolved', async () => {
+            const error = await callTool('discover_movies', {with_keywords: 'zzz', with_genres: 'western'}).catch(err => err);
+            expect(error.message).toContain('with_keywords: "zzz" (no matching keyword)');
+            expect(error.message).toContain('with_genres: "western" (no matching genre)');
+            expect(mockTmdbFetch).not.toHaveBeenCalledWith('/discover/movie', expect.anything());
+        });
+    });
+
+    describe('where_to_watch', () => {
+        const providers = {
+            id: 550,
+            results: {
+                US: {
+                    link: 'https://www.themoviedb.org/movie/550/watch?locale=US',
+                    flatrate: [{provider_id: 337, provider_name: 'Disney Plus', display_priority: 2}, {provider_id: 8, provider_name: 'Netflix', display_priority: 1}],
+                    rent: [{provider_id: 2, provider_name: 'Apple TV', display_priority: 4}],
+                },
+                IT: {link: 'https://www.themoviedb.org/movie/550/watch?locale=IT', buy: [{provider_id: 2, provider_name: 'Apple TV', display_priority: 4}]},
+            },
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockResolvedValue(providers);
+        });
+
+        it('should group offers by monetization type for the requested regions', async () => {
+            const parsed = (await callTool('where_to_watch', {type: 'movie', id: 550, regions: ['us', 'IT', 'FR']})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/550/watch/providers');
+            expect(parsed.regions.US).toEqual({
+                link: 'https://www.themoviedb.org/movie/550/watch?locale=US',
+                flatrate: [{id: 8, name: 'Netflix'}, {id: 337, name: 'Disney Plus'}],
+                rent: [{id: 2, name: 'Apple TV'}],
+            });
+            expect(parsed.available_in).toEqual(['US', 'IT']);
+            expect(parsed.unavailable_in).toEqual(['FR']);
+        });
+
+        it('should keep only the user\'s services and monetization types', async () => {
+            const parsed = (await callTool('where_to_watch', {type: 'movie', id: 550, providers: ['netflix', '2'], monetization_types: ['flatrate']})).structuredContent;
+            expect(parsed.regions).toEqual({US: {link: 'https://www.themoviedb.org/movie/550/watch?locale=US', flatrate: [{id: 8, name: 'Netflix'}]}});
+            expect(parsed.unavailable_in).toEqual(['IT']);
+        });
+    });
+
+    describe('multi-page aggregation', () => {
+        const page = (n, ids, total_pages = 5) => ({page: n, total_pages, total_results: total_pages * 3, results: ids.map(id => ({id, title: `Movie ${id}`}))});
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation((path, params) => Promise.resolve({
+                1: page(1, [1, 2, 3]),
+                2: page(2, [3, 4, 5]),
+                3: page(3, [6, 7, 8]),
+                4: page(4, [9, 10, 11]),
+            }[params.page]));
+        });
+
+        it('should merge pages, drop duplicates and return a cursor', async () => {
+            const parsed = (await callTool('trending_movies', {time_window: 'week', limit: 6})).structuredContent;
+            expect(parsed.results.map(r => r.id)).toEqual([1, 2, 3, 4, 5, 6]);
+            expect(parsed).toMatchObject({page: 1, total_pages: 5, pages_fetched: 3, next_cursor: '3:1'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/trending/movie/week', {page: 2, language: undefined, region: undefined, include_adult: undefined});
+        });
+
+        it('should continue from a cursor and honour max_pages', async () => {
+            const parsed = (await callTool('search_tmdb_movies', {query: 'x', cursor: '3:1', max_pages: 2})).structuredContent;
+            expect(parsed.results.map(r => r.id)).toEqual([7, 8, 9, 10, 11]);
+            expect(parsed.next_cursor).toBe('5:0');
+            expect(mockTmdbFetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep pagination arguments out of the discover query', async () => {
+            await callTool('discover_movies', {with_genres: '27', max_pages: 1});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/discover/movie', {with_genres: '27', page: 1});
+        });
+
+        it('should return the TMDB page unchanged without limit or max_pages', async () => {
+            const parsed = (await callTool('tv_popular', {page: 2})).structuredContent;
+            expect(parsed).toEqual(page(2, [3, 4, 5]));
+        });
+    });
+
+    describe('field projection and detail levels', () => {
+        const movie = {
+            id: 550,
+            title: 'Fight Club',
+            runtime: 139,
+            budget: 63000000,
+            genres: [{id: 18, name: 'Drama'}],
+            credits: {
+                cast: Array.from({length: 30}, (_, i) => ({id: i, name: `Actor ${i}`, character: `Role ${i}`, order: 29 - i})),
+                crew: [{id: 7467, name: 'David Fincher', job: 'Director'}, {id: 1, name: 'Someone', job: 'Grip'}],
+            },
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockResolvedValue(movie);
+        });
+
+        it('should keep only the requested dot paths and slices', async () => {
+            const result = await callTool('get_tmdb_details', {type: 'movie', id: 550, append: 'credits', fields: 'title,runtime,genres.name,credits.cast[0:2].name'});
+            expect(result.structuredContent).toEqual({
+                title: 'Fight Club',
+                runtime: 139,
+                genres: [{name: 'Drama'}],
+                credits: {cast: [{name: 'Actor 0'}, {name: 'Actor 1'}]},
+            });
+        });
+
+        it('should trim credits to top billing and key crew at the standard level', async () => {
+            const parsed = (await callTool('get_tmdb_details', {type: 'movie', id: 550, detail_level: 'standard'})).structuredContent;
+            expect(parsed.budget).toBe(63000000);
+            expect(parsed.credits.cast).toHaveLength(20);
+            expect(parsed.credits.cast[0].name).toBe('Actor 29');
+            expect(parsed.credits.crew).toEqual([{id: 7467, name: 'David Fincher', job: 'Director'}]);
+        });
+
+        it('should return key facts only at the compact level', async () => {
+            const parsed = (await callTool('get_tmdb_details', {type: 'movie', id: 550, detail_level: 'compact'})).structuredContent;
+            expect(parsed).not.toHaveProperty('budget');
+            expect(parsed.credits.cast).toHaveLength(5);
+            expect(parsed.credits.crew).toEqual([{name: 'David Fincher', job: 'Director'}]);
+        });
+
+        it('should document a fields example that selects data from each tool\'s own payload', async () => {
+            const credits = {id: 550, cast: movie.credits.cast, crew: movie.credits.crew};
+            const person = {id: 287, name: 'Brad Pitt', biography: 'An actor.', combined_credits: {cast: [{id: 550, title: 'Fight Club', character: 'Tyler Durden'}]}};
+            const calls = {
+                person_details: [person, {person_id: 287, append: 'combined_credits'}],
+                movie_credits: [credits, {movie_id: 550}],
+                tv_credits: [credits, {tv_id: 1399}],
+                get_tmdb_details: [movie, {type: 'movie', id: 550, append: 'credits'}],
+            };
+            for (const [name, [payload, args]] of Object.entries(calls)) {
+                const tool = tools.find(t => t.name === name);
+                const fields = /e\.g\., ([^)]+)\)/.exec(tool.inputSchema.properties.fields.description)[1];
+                expect(tool.description).toContain(`fields (optional dot paths such as ${fields})`);
+
+                mockTmdbFetch.mockResolvedValue(payload);
+                const parsed = (await callTool(name, {...args, fields})).structuredContent;
+                expect(Object.keys(parsed)).toEqual([...new Set(fields.split(',').map(path => path.split(/[.[]/)[0]))]);
+            }
+        });
+
+        it('should reject malformed field paths', async () => {
+            await expect(callTool('movie_credits', {movie_id: 550, fields: 'cast[a]'})).rejects.toThrow('Invalid field path "cast[a]"');
+        });
+    });
+
+    describe('get_image', () => {
+        const configuration = {images: {secure_base_url: 'https://img.test/p/', poster_sizes: ['w92', 'w342', 'w500', 'original']}};
+        const fetchImage = jest.fn();
+        let tmdbFetch;
+
+        beforeEach(() => {
+            // A fresh tmdbFetch per test, since /configuration is loaded once per client
+            tmdbFetch = jest.fn(path => Promise.resolve(path === '/configuration' ? configuration : {id: 550, poster_path: '/poster.jpg'}));
+            fetchImage.mockReset();
+        });
+
+        it('should look up the poster and return it as image content', async () => {
+            fetchImage.mockResolvedValue({data: Buffer.from('png-bytes'), bytes: 9, mimeType: 'image/png'});
+
+            const result = await callTool('get_image', {type: 'movie', id: 550, size: 'w300'}, {tmdbFetch, client: {fetchImage}});
+
+            expect(tmdbFetch).toHaveBeenCalledWith('/movie/550');
+            expect(fetchImage).toHaveBeenCalledWith('https://img.test/p/w342/poster.jpg', {maxBytes: 500000});
+            expect(result.content[0]).toEqual({type: 'image', data: Buffer.from('png-bytes').toString('base64'), mimeType: 'image/png'});
+            expect(result.structuredContent).toEqual({url: 'https://img.test/p/w342/poster.jpg', size: 'w342', bytes: 9, mime_type: 'image/png'});
+        });
+
+        it('should step down to smaller renditions over the byte cap', async () => {
+            fetchImage
+                .mockResolvedValueOnce({data: null, bytes: 90000, mimeType: 'image/jpeg'})
+                .mockResolvedValue({data: Buffer.from('small'), bytes: 5, mimeType: 'image/jpeg'});
+
+            const result = await callTool('get_image', {path: '/poster.jpg', size: 'large', max_bytes: 50000}, {tmdbFetch, client: {fetchImage}});
+
+            expect(fetchImage.mock.calls.map(([url]) => url)).toEqual(['https://img.test/p/w500/poster.jpg', 'https://img.test/p/w342/poster.jpg']);
+            expect(result.structuredContent.size).toBe('w342');
+        });
+
+        it('should fail when even the smallest rendition is too large', async () => {
+            fetchImage.mockResolvedValue({data: null, bytes: 90000, mimeType: 'image/jpeg'});
+
+            await expect(callTool('get_image', {path: '/poster.jpg', size: 'small', max_bytes: 1000}, {tmdbFetch, client: {fetchImage}}))
+                .rejects.toThrow('larger than max_bytes (1000)');
+        });
+    });
+
+    describe('get_videos', () => {
+        const video = (id, overrides) => ({id, key: `key${id}`, name: `Video ${id}`, site: 'YouTube', type: 'Trailer', official: true, iso_639_1: 'en', iso_3166_1: 'US', published_at: '2020-01-01T00:00:00.000Z', ...overrides});
+
+        beforeEach(() => {
+            mockTmdbFetch.mockResolvedValue({id: 550, results: [
+                video('a', {type: 'Clip'}),
+                video('b', {official: false}),
+                video('c'),
+                video('d', {iso_639_1: 'it', site: 'Vimeo', key: '76979871'}),
+                video('e', {type: 'Featurette'}),
+            ]});
+        });
+
+        it('should rank by language, official status and type, with watch URLs', async () => {
+            const parsed = (await callTool('get_videos', {type: 'movie', id: 550, language: 'it-IT'})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/550/videos', {language: 'it-IT', include_video_language: 'it,en,null'});
+            expect(parsed.videos.map(v => v.id)).toEqual(['d', 'c', 'a', 'e', 'b']);
+            expect(parsed.videos[0].url).toBe('https://vimeo.com/76979871');
+            expect(parsed.videos[1].url).toBe('https://www.youtube.com/watch?v=keyc');
+            expect(parsed.language_fallback).toBe(false);
+        });
+
+        it('should filter by type, fall back to English and apply limit', async () => {
+            const result = await callTool('get_videos', {type: 'tv', id: 1399, season_number: 1, video_types: ['Teaser', 'Trailer'], language: 'fr', limit: 1});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/tv/1399/season/1/videos', {language: 'fr', include_video_language: 'fr,en,null'});
+            expect(result.structuredContent).toMatchObject({season_number: 1, language: 'fr', language_fallback: true, total: 3});
+            expect(result.structuredContent.videos.map(v => v.id)).toEqual(['c']);
+            expect(result.content[0].text).toBe('3 videos (none in fr). Best match: "Video c" (official Trailer, YouTube, en) https://www.youtube.com/watch?v=keyc.');
+        });
+
+        it('should reject season_number for movies', async () => {
+            await expect(callTool('get_videos', {type: 'movie', id: 550, season_number: 1})).rejects.toThrow('only valid with type tv');
+        });
+    });
+
+    describe('certifications', () => {
+        const lists = {
+            '/certification/movie/list': {certifications: {US: [{certification: 'R', meaning: 'Restricted', order: 4}, {certification: 'G', meaning: 'All ages', order: 1}, {certification: 'PG-13', meaning: 'Parents strongly cautioned', order: 3}, {certification: 'PG', meaning: 'Parental guidance', order: 2}]}},
+            '/certification/tv/list': {certifications: {US: [{certification: 'TV-Y', order: 1}, {certification: 'TV-14', order: 5}, {certification: 'TV-MA', order: 6}]}},
+            '/movie/1/release_dates': {results: [{iso_3166_1: 'US', release_dates: [{type: 4, certification: 'PG', release_date: '2020-05-01T00:00:00.000Z'}, {type: 3, certification: 'PG-13', release_date: '2020-01-01T00:00:00.000Z'}]}]},
+            '/movie/2/release_dates': {results: [{iso_3166_1: 'US', release_dates: [{type: 3, certification: 'R', release_date: '2020-01-01T00:00:00.000Z'}]}]},
+            '/movie/3/release_dates': {results: [{iso_3166_1: 'GB', release_dates: [{type: 3, certification: '15'}]}]},
+            '/tv/4/content_ratings': {results: [{iso_3166_1: 'US', rating: 'TV-14'}]},
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(lists[path] || {
+                page: 1, total_pages: 1, total_results: 5,
+                results: [{id: 1, media_type: 'movie', title: 'A'}, {id: 2, media_type: 'movie', title: 'B'}, {id: 3, media_type: 'movie', title: 'C'}, {id: 4, media_type: 'tv', name: 'D'}, {id: 5, media_type: 'person', name: 'E'}],
+            }));
+        });
+
+        it('should report a movie\'s certification per country, theatrical release first', async () => {
+            const result = await callTool('release_dates', {movie_id: 1, country: 'us'});
+            expect(result.structuredContent).toMatchObject({id: 1, country: 'US', certification: 'PG-13'});
+            expect(result.structuredContent.countries[0].releases.map(r => r.type_name)).toEqual(['Theatrical', 'Digital']);
+            expect(result.content[0].text).toBe('Rated PG-13 in US, first released 2020-01-01 (Theatrical).');
+        });
+
+        it('should list certifications least restrictive first', async () => {
+            const parsed = (await callTool('certifications', {type: 'movie', country: 'US'})).structuredContent;
+            expect(parsed.countries.US.map(c => c.certification)).toEqual(['G', 'PG', 'PG-13', 'R']);
+        });
+
+        it('should drop titles above max_certification and unrated ones', async () => {
+            const result = await callTool('trending_all', {time_window: 'day', max_certification: 'PG-13,TV-14'});
+            expect(result.structuredContent.results.map(r => [r.id, r.certification])).toEqual([[1, 'PG-13'], [4, 'TV-14'], [5, undefined]]);
+            expect(result.structuredContent.certification_filter).toEqual({country: 'US', max_certification: 'PG-13,TV-14', removed_above: 1, removed_unrated: 1});
+            expect(result.content[0].text).toContain('Removed 2 rated above PG-13,TV-14 in US or unrated.');
+        });
+
+        it('should remove titles of a media type the rating cannot check on mixed results', async () => {
+            const result = await callTool('trending_all', {time_window: 'day', max_certification: 'PG-13'});
+            expect(result.structuredContent.results.map(r => [r.id, r.certification])).toEqual([[1, 'PG-13'], [5, undefined]]);
+            expect(result.structuredContent.certification_filter).toEqual({
+                country: 'US', max_certification: 'PG-13', removed_above: 1, removed_unrated: 1, unchecked: ['tv'], removed_unchecked: 1,
+            });
+            expect(result.content[0].text).toContain('Removed 1 unchecked tv titles: PG-13 has no US tv rating; add one to keep them.');
+            expect(mockTmdbFetch).not.toHaveBeenCalledWith('/tv/4/content_ratings');
+        });
+
+        it('should reject a rating that fits none of the media types in the results', async () => {
+            await expect(callTool('trending_all', {time_window: 'day', max_certification: 'X'}))
+                .rejects.toThrow('"X" is not a US movie certification. Use one of: G, PG, PG-13, R; "X" is not a US tv certification. Use one of: TV-Y, TV-14, TV-MA');
+        });
+
+        it('should reject a certification the country does not use', async () => {
+            await expect(callTool('search_tmdb_movies', {query: 'x', max_certification: 'TV-14'}))
+                .rejects.toThrow('"TV-14" is not a US movie certification. Use one of: G, PG, PG-13, R');
+        });
+    });
+
+    describe('external IDs', () => {
+        const find = {
+            movie_results: [{id: 550, title: 'Fight Club', release_date: '1999-10-15'}],
+            tv_results: [],
+            person_results: [],
+            tv_episode_results: [{id: 63056, name: 'Winter Is Coming', air_date: '2011-04-17', show_id: 1399, season_number: 1, episode_number: 1}],
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(path.startsWith('/find/') ? find : {id: 550, title: 'Fight Club', external_ids: {imdb_id: 'tt0137523'}}));
+        });
+
+        it('should find entities by a detected IMDb ID', async () => {
+            const result = await callTool('find_by_external_id', {external_id: 'TT0137523'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/find/tt0137523', {external_source: 'imdb_id', language: undefined});
+            expect(result.structuredContent.source).toBe('imdb');
+            expect(result.structuredContent.results.map(r => [r.media_type, r.id])).toEqual([['movie', 550], ['tv_episode', 63056]]);
+            expect(result.structuredContent.results[1]).toMatchObject({show_id: 1399, season_number: 1, episode_number: 1, date: '2011-04-17'});
+        });
+
+        it('should require a source for IDs that cannot be detected', async () => {
+            await expect(callTool('find_by_external_id', {external_id: '81189'})).rejects.toThrow('Cannot tell the source of "81189"');
+            await callTool('find_by_external_id', {external_id: '81189', source: 'tvdb'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/find/81189', {external_source: 'tvdb_id', language: undefined});
+        });
+
+        it('should resolve external IDs in get_tmdb_details and return external_ids', async () => {
+            const parsed = (await callTool('get_tmdb_details', {type: 'movie', id: 'tt0137523'})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenLastCalledWith('/movie/550', {language: undefined, append_to_response: 'external_ids'});
+            expect(parsed.external_ids).toEqual({imdb_id: 'tt0137523'});
+        });
+
+        it('should fail when the external ID matches no entity of the requested type', async () => {
+            await expect(callTool('get_tmdb_details', {type: 'tv', id: 'tt0137523'})).rejects.toThrow('No tv found on TMDB for imdb ID tt0137523');
+        });
+    });
+
+    describe('recommendation tools', () => {
+        const lists = {
+            '/movie/550/recommendations': {page: 1, total_pages: 1, total_results: 3, results: [{id: 680, title: 'Pulp Fiction', popularity: 50}, {id: 807, title: 'Se7en', popularity: 100}, {id: 603, title: 'The Matrix', popularity: 80}]},
+            '/movie/603/recommendations': {results: [{id: 680, title: 'Pulp Fiction', popularity: 50}, {id: 550, title: 'Fight Club', popularity: 90}]},
+            '/movie/680/watch/providers': {results: {US: {flatrate: [{provider_id: 8, provider_name: 'Netflix'}]}}},
+            '/movie/807/watch/providers': {results: {US: {rent: [{provider_id: 2, provider_name: 'Apple TV'}]}}},
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(lists[path] || {results: []}));
+        });
+
+        it('should normalize recommendations and similar titles', async () => {
+            const parsed = (await callTool('recommendations', {type: 'movie', id: 550})).structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/550/recommendations', {page: undefined, language: undefined});
+            expect(parsed.results[0]).toMatchObject({id: 680, media_type: 'movie', title: 'Pulp Fiction'});
+
+            await callTool('similar_titles', {type: 'tv', id: 1399, language: 'it'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/tv/1399/similar', {page: undefined, language: 'it'});
+        });
+
+        it('should score blended candidates by seed matches and popularity, without the seeds', async () => {
+            const result = await callTool('blend_recommendations', {seeds: [{type: 'movie', id: 550}, {type: 'movie', id: 603}]});
+            const parsed = result.structuredContent;
+            expect(parsed.results.map(r => [r.id, r.score, r.seed_matches])).toEqual([[680, 2.5, 2], [807, 2, 1]]);
+            expect(parsed.results[0].from_seeds).toEqual(['movie:550', 'movie:603']);
+            expect(parsed.total_candidates).toBe(2);
+            expect(result.content[0].text).toBe('2 of 2 candidates from 2 seeds: Pulp Fiction [2/2], Se7en [1/2].');
+        });
+
+        it('should keep only titles on the given providers', async () => {
+            const parsed = (await callTool('blend_recommendations', {seeds: [{type: 'movie', id: 550}], providers: ['netflix']})).structuredContent;
+            expect(parsed.results.map(r => [r.id, r.available_on])).toEqual([[680, ['Netflix']]]);
+            expect(parsed).toMatchObject({providers: ['netflix'], watch_region: 'US'});
+        });
+
+        it('should reject malformed seeds', async () => {
+            await expect(callTool('blend_recommendations', {seeds: [{type: 'person', id: 1}]})).rejects.toThrow('seeds[0] must be');
+        });
+    });
+
+    describe('person_filmography', () => {
+        const combinedCredits = {
+            cast: [
+                {id: 1, media_type: 'movie', title: 'Frances Ha', release_date: '2012-09-01', character: 'Frances', popularity: 10},
+                {id: 9, media_type: 'tv', name: 'Late Show', first_air_date: '2015-09-08', character: 'Herself - Guest', genre_ids: [10767], episode_count: 2},
+                {id: 3, media_type: 'movie', title: 'Documentary', release_date: '2019-01-01', character: 'Self'},
+            ],
+            crew: [
+                {id: 2, media_type: 'movie', title: 'Lady Bird', release_date: '2017-09-01', department: 'Directing', job: 'Director', popularity: 30},
+                {id: 2, media_type: 'movie', title: 'Lady Bird', release_date: '2017-09-01', department: 'Writing', job: 'Screenplay', popularity: 30},
+                {id: 1, media_type: 'movie', title: 'Frances Ha', release_date: '2012-09-01', department: 'Writing', job: 'Writer', popularity: 10},
+                {id: 4, media_type: 'movie', title: 'Untitled', release_date: '', department: 'Directing', job: 'Director'},
+            ],
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockResolvedValue(combinedCredits);
+        });
+
+        it('should merge roles per title, sort newest first and leave out self appearances', async () => {
+            const result = await callTool('person_filmography', {person_id: 45400});
+            const parsed = result.structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/person/45400/combined_credits', {language: undefined});
+            expect(parsed.credits.map(c => c.id)).toEqual([2, 1, 4]);
+            expect(parsed.credits[0]).toMatchObject({jobs: ['Director', 'Screenplay'], departments: ['Directing', 'Writing'], year: 2017});
+            expect(parsed.credits[1]).toMatchObject({characters: ['Frances'], jobs: ['Actor', 'Writer']});
+            expect(parsed.self_appearances_excluded).toBe(2);
+            expect(result.content[0].text).toBe('3 titles: Lady Bird (2017) (Director, Screenplay); Frances Ha (2012) (Actor, Writer); Untitled (Director).');
+        });
+
+        it('should filter by job and years and sort by popularity', async () => {
+            const parsed = (await callTool('person_filmography', {person_id: 45400, department: 'writing', year_from: 2010, year_to: 2020, sort_by: 'popularity', order: 'asc'})).structuredContent;
+            expect(parsed.credits.map(c => c.id)).toEqual([1, 2]);
+            const directed = (await callTool('person_filmography', {person_id: 45400, job: 'Director', media_type: 'movie'})).structuredContent;
+            expect(directed.total).toBe(2);
+        });
+
+        it('should include self appearances when asked', async () => {
+            const parsed = (await callTool('person_filmography', {person_id: 45400, include_self: true})).structuredContent;
+            expect(parsed.credits.find(c => c.id === 9)).toMatchObject({media_type: 'tv', title: 'Late Show', episode_count: 2});
+            expect(parsed).not.toHaveProperty('self_appearances_excluded');
+        });
+    });
+
+    describe('shared_credits', () => {
+        const responses = {
+            '/search/person': {results: [{id: 380, name: 'Robert De Niro', known_for_department: 'Acting'}]},
+            '/person/1158': {name: 'Al Pacino', combined_credits: {
+                cast: [
+                    {id: 949, media_type: 'movie', title: 'Heat', release_date: '1995-12-15', character: 'Lt. Vincent Hanna'},
+                    {id: 240, media_type: 'movie', title: 'The Godfather Part II', release_date: '1974-12-20', character: 'Don Michael Corleone'},
+                    {id: 7, media_type: 'tv', name: 'Talk Show', character: 'Himself'},
+                ],
+                crew: [{id: 42, media_type: 'movie', title: 'Looking for Richard', release_date: '1996-10-11', job: 'Director', department: 'Directing'}],
+            }},
+            '/person/380': {name: 'Robert De Niro', combined_credits: {
+                cast: [
+                    {id: 949, media_type: 'movie', title: 'Heat', release_date: '1995-12-15', character: 'Neil McCauley'},
+                    {id: 240, media_type: 'movie', title: 'The Godfather Part II', release_date: '1974-12-20', character: 'Vito Corleone'},
+                    {id: 7, media_type: 'tv', name: 'Talk Show', character: 'Himself'},
+                ],
+                crew: [{id: 42, media_type: 'movie', title: 'Looking for Richard', release_date: '1996-10-11', job: 'Producer', department: 'Production'}],
+            }},
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(responses[path]));
+        });
+
+        it('should resolve names and return the shared titles with each person\'s roles', async () => {
+            const result = await callTool('shared_credits', {people: ['1158', 'Robert De Niro'], credit_type: 'cast'});
+            const parsed = result.structuredContent;
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/search/person', {query: 'Robert De Niro'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/person/380', {language: undefined, append_to_response: 'combined_credits'});
+            expect(parsed.people).toEqual([{input: '1158', id: 1158, name: 'Al Pacino'}, {input: 'Robert De Niro', id: 380, name: 'Robert De Niro', match: 'exact'}]);
+            expect(parsed.credits.map(c => c.id)).toEqual([949, 240]);
+            expect(parsed.credits[0].people).toEqual([
+                {id: 1158, name: 'Al Pacino', characters: ['Lt. Vincent Hanna'], jobs: ['Actor']},
+                {id: 380, name: 'Robert De Niro', characters: ['Neil McCauley'], jobs: ['Actor']},
+            ]);
+            expect(result.content[0].text).toBe('Al Pacino and Robert De Niro share 2 titles: Heat (1995) (Lt. Vincent Hanna / Neil McCauley); The Godfather Part II (1974) (Don Michael Corleone / Vito Corleone).');
+        });
+
+        it('should match crew roles only when asked', async () => {
+            const parsed = (await callTool('shared_credits', {people: ['1158', '380'], credit_type: 'crew'})).structuredContent;
+            expect(parsed.credits.map(c => [c.id, c.people.map(p => p.jobs)])).toEqual([[42, [['Director'], ['Producer']]]]);
+            const all = (await callTool('shared_credits', {people: ['1158', '380'], include_self: true})).structuredContent;
+            expect(all.total).toBe(4);
+        });
+
+        it('should report names it cannot resolve', async () => {
+            mockTmdbFetch.mockResolvedValue({results: []});
+            await expect(callTool('shared_credits', {people: ['Nobody Atall', '380']})).rejects.toThrow('No TMDB person matches "Nobody Atall"');
+        });
+    });
+
+    describe('connection_path', () => {
+        const responses = {
+            '/search/person': {results: [{id: 3, name: 'Cara'}]},
+            '/person/1': {name: 'Ann', combined_credits: {cast: [{id: 10, media_type: 'movie', title: 'First', release_date: '2000-01-01', character: 'Hero'}]}},
+            '/person/3': {name: 'Cara', combined_credits: {
+                cast: [{id: 20, media_type: 'movie', title: 'Second', release_date: '2005-01-01', character: 'Villain'}, {id: 30, media_type: 'tv', name: 'Talk', genre_ids: [10767], character: 'Herself'}],
+            }},
+            '/movie/10/credits': {cast: [{id: 1, name: 'Ann', character: 'Hero'}, {id: 2, name: 'Bob', character: 'Sidekick'}], crew: []},
+            '/movie/20/credits': {cast: [{id: 3, name: 'Cara', character: 'Villain'}], crew: [{id: 2, name: 'Bob', job: 'Director'}]},
+        };
+
+        beforeEach(() => {
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(responses[path] || {}));
+        });
+
+        it('should find the shortest chain from both ends with each person\'s role', async () => {
+            const result = await callTool('connection_path', {from: '1', to: 'Cara'});
+            const parsed = result.structuredContent;
+            expect(parsed).toMatchObject({found: true, degrees: 2, requests_used: 4, from: {id: 1, name: 'Ann'}, to: {id: 3, name: 'Cara'}});
+            expect(parsed.path).toEqual([
+                {title: {id: 10, media_type: 'movie', title: 'First', date: '2000-01-01'}, from: {id: 1, name: 'Ann', role: 'Hero'}, to: {id: 2, name: 'Bob', role: 'Sidekick'}},
+                {title: {id: 20, media_type: 'movie', title: 'Second', date: '2005-01-01'}, from: {id: 2, name: 'Bob', role: 'Director'}, to: {id: 3, name: 'Cara', role: 'Villain'}},
+            ]);
+            expect(mockTmdbFetch).not.toHaveBeenCalledWith('/tv/30/credits');
+            expect(result.content[0].text).toBe('2 degrees: Ann (Hero) and Bob (Sidekick) in First (2000); Bob (Director) and Cara (Villain) in Second (2005).');
+        });
+
+        it('should skip crew links with cast_only', async () => {
+            const parsed = (await callTool('connection_path', {from: '1', to: '3', cast_only: true})).structuredContent;
+            expect(parsed).toMatchObject({found: false, stopped: 'no_more_links'});
+        });
+
+        it('should stop at the request budget', async () => {
+            const parsed = (await callTool('connection_path', {from: '1', to: '3', max_requests: 2})).structuredContent;
+            expect(parsed).toMatchObject({found: false, stopped: 'max_requests', requests_used: 2});
+        });
+    });
+    describe('change feeds', () => {
+        it('should split long ranges into 14-day windows and page each one', async () => {
+            mockTmdbFetch.mockImplementation((path, params) => Promise.resolve(
+                params.start_date === '2024-05-01'
+                    ? {page: params.page, total_pages: 2, results: params.page === 1 ? [{id: 1, adult: false}, {id: 2, adult: false}] : [{id: 3, adult: false}]}
+                    : {page: 1, total_pages: 1, results: [{id: 2, adult: false}, {id: 4, adult: true}]}
+            ));
+
+            const result = await callTool('change_feed', {type: 'movie', start_date: '2024-05-01', end_date: '2024-05-21'});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/changes', {start_date: '2024-05-01', end_date: '2024-05-15', page: 2});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/changes', {start_date: '2024-05-15', end_date: '2024-05-21', page: 1});
+            expect(result.structuredContent).toMatchObject({windows: 2, pages_fetched: 3, complete: true, total: 4});
+            expect(result.structuredContent.results.map(r => r.id)).toEqual([1, 2, 3, 4]);
+            expect(result.content[0].text).toBe('4 movie IDs changed between 2024-05-01 and 2024-05-21.');
+        });
+
+        it('should reject ranges over 90 days', async () => {
+            await expect(callTool('change_feed', {type: 'tv', start_date: '2024-01-01', end_date: '2024-05-01'}))
+                .rejects.toThrow('limited to 90 days');
+            expect(mockTmdbFetch).not.toHaveBeenCalled();
+        });
+
+        it('should merge entity changes across windows and filter keys', async () => {
+            mockTmdbFetch.mockImplementation((path, params) => Promise.resolve({
+                changes: params.start_date === '2024-05-01'
+                    ? [{key: 'overview', items: [{id: 'a', action: 'updated', time: '2024-05-02 10:00:00 UTC'}]}, {key: 'images', items: [{id: 'b', action: 'added', time: '2024-05-03 10:00:00 UTC'}]}]
+                    : [{key: 'overview', items: [{id: 'c', action: 'updated', time: '2024-05-18 10:00:00 UTC'}]}],
+            }));
+
+            const result = await callTool('entity_changes', {type: 'movie', id: 550, start_date: '2024-05-01', end_date: '2024-05-20', keys: ['overview']});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/movie/550/changes', {start_date: '2024-05-15', end_date: '2024-05-20'});
+            expect(result.structuredContent.changes).toEqual([{key: 'overview', items: [
+                {id: 'a', action: 'updated', time: '2024-05-02 10:00:00 UTC'},
+                {id: 'c', action: 'updated', time: '2024-05-18 10:00:00 UTC'},
+            ]}]);
+            expect(result.content[0].text).toBe('movie 550 changed between 2024-05-01 and 2024-05-20: overview (2).');
+        });
+
+        it('should return the fields changed since a point in time', async () => {
+            const responses = {
+                '/tv/changes': {page: 1, total_pages: 1, results: [{id: 1}, {id: 2}, {id: 3}]},
+                '/tv/1/changes': {changes: [
+                    {key: 'name', items: [{id: 'a', time: '2024-05-02 13:00:00 UTC'}]},
+                    {key: 'images', items: [{id: 'b', time: '2024-05-02 09:00:00 UTC'}]},
+                ]},
+                '/tv/2/changes': {changes: [{key: 'overview', items: [{id: 'c', time: '2024-05-01 08:00:00 UTC'}]}]},
+            };
+            mockTmdbFetch.mockImplementation(path => Promise.resolve(responses[path]));
+
+            const result = await callTool('sync_since', {type: 'tv', since: '2024-05-02T12:00:00Z', until: '2024-05-03T00:00:00Z', max_ids: 2});
+            expect(mockTmdbFetch).toHaveBeenCalledWith('/tv/changes', {start_date: '2024-05-02', end_date: '2024-05-03', page: 1});
+            expect(mockTmdbFetch).not.toHaveBeenCalledWith('/tv/3/changes', expect.anything());
+            expect(result.structuredContent).toMatchObject({
+                since: '2024-05-02T12:00:00.000Z',
+                next_since: '2024-05-03T00:00:00.000Z',
+                complete: false,
+                total_ids: 3,
+                changed: [{id: 1, fields: ['name'], last_changed: '2024-05-02T13:00:00.000Z'}],
+                unchanged_in_range: 1,
+                not_inspected: [3],
+            });
+            expect(result.content[0].text).toBe('1 tv IDs changed since 2024-05-02T12:00:00.000Z (name 1), 1 more not inspected. Next run: since 2024-05-03T00:00:00.000Z.');
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,55 @@
+import { tools, validateArguments } from '../../src/server.js';
+
+const schemaOf = (name) => tools.find(t => t.name === name).inputSchema;
+
+describe('validateArguments', () => {
+    it('should accept valid arguments unchanged', () => {
+        const result = validateArguments(schemaOf('get_tmdb_details'), {type: 'movie', id: 550, append: 'credits'});
+        expect(result).toEqual({value: {type: 'movie', id: 550, append: 'credits'}, errors: []});
+    });
+
+    it('should coerce safe conversions', () => {
+        const result = validateArguments(schemaOf('search_tmdb'), {query: 'dune', page: '2', include_adult: 'false'});
+        expect(result.errors).toEqual([]);
+        expect(result.value).toEqual({query: 'dune', page: 2, include_adult: false});
+        expect(validateArguments(schemaOf('discover_movies'), {with_genres: 28}).value).toEqual({with_genres: '28'});
+        expect(validateArguments(schemaOf('search_tmdb'), {query: 'dune', page: '-1.5'}).errors).toEqual(['page: must be >= 1, got -1.5']);
+    });
+
+    it('should only coerce plain decimal strings to numbers', () => {
+        for (const page of ['0x10', '1e3', '0b1', ' 2 ', '', 'Infinity']) {
+            expect(validateArguments(schemaOf('search_tmdb'), {query: 'dune', page}).errors).toEqual([`page: expected number, got string ${JSON.stringify(page)}`]);
+        }
+    });
+
+    it('should report every offending field', () => {
+        const {errors} = validateArguments(schemaOf('trending_all'), {time_window: 'month', page: 0, foo: 1});
+        expect(errors).toEqual([
+            'time_window: must be one of "day", "week", got "month"',
+            'page: must be >= 1, got 0',
+            'foo: unknown argument (allowed: time_window, page, language, region, include_adult, limit, max_pages, cursor, max_certification, certification_country)',
+        ]);
+    });
+
+    it('should report missing required fields and wrong types', () => {
+        const {errors} = validateArguments(schemaOf('movie_credits'), {language: 5, movie_id: 'abc'});
+        expect(errors).toContain('movie_id: expected number, got string "abc"');
+        expect(validateArguments(schemaOf('movie_credits'), {}).errors).toEqual(['movie_id: is required']);
+    });
+
+    it('should validate array items', () => {
+        const schema = {type: 'object', properties: {regions: {type: 'array', items: {type: 'string', minLength: 2}}}};
+        expect(validateArguments(schema, {regions: 'US, IT'}).value).toEqual({regions: ['US', 'IT']});
+        expect(validateArguments(schema, {regions: ['US', 'I']}).errors).toEqual(['regions[1]: must be at least 2 character(s) long']);
+    });
+
+    it('should validate the properties of object array items', () => {
+        const schema = schemaOf('blend_recommendations');
+        expect(validateArguments(schema, {seeds: [{type: 'movie', id: '550'}]}).value).toEqual({seeds: [{type: 'movie', id: 550}]});
+        expect(validateArguments(schema, {seeds: [{type: 'movie', id: 550}, {type: 'book', id: 'x'}, {id: 1}]}).errors).toEqual([
+            'seeds[1].type: must be one of "movie", "tv", got "book"',
+            'seeds[1].id: expected number, got string "x"',
+            'seeds[2].type: is required',
+        ]);
+    });
+});